@@ -1,41 +1,68 @@
 #!/usr/bin/env node
 
 const { URLSearchParams } = require('url'),
-    { Validator } = require("jsonschema"),
     { version } = require('./package.json'),
+    { Authenticator } = require('./lib/auth'),
+    { ApiError, RecordingNotFoundError, ResponseValidationError, ValidationError } = require('./lib/errors'),
+    { decodedFormat, decodeResponse, responseFormat, responseTypes } = require('./lib/decoding'),
+    { configFiles, findConfig, loadConfig, staleFiles } = require('./lib/config'),
+    { diffDocuments, formatDiff } = require('./lib/diff'),
+    { operationDocs } = require('./lib/docs'),
+    { operationFilter, parseFilter } = require('./lib/filters'),
+    { createMockServer, mockAdapter, mockResponse } = require('./lib/mock'),
+    { multipartBody, multipartEncoding, multipartValues } = require('./lib/multipart'),
+    { formatOutput, outputFormats } = require('./lib/output'),
+    { operationNames } = require('./lib/naming'),
+    { normalizePagination, paginate } = require('./lib/pagination'),
+    { Recorder } = require('./lib/recorder'),
+    { dereferenceOperations, resolveRef, SchemaRegistry } = require('./lib/refs'),
+    { parameterStyles, serializeCookie, serializeHeader, serializePath, serializeQuery } = require('./lib/serializer'),
+    { Resilience } = require('./lib/resilience'),
+    { resolveServer } = require('./lib/servers'),
+    { TypeGenerator, typeName } = require('./lib/typescript'),
     Ajv = require("ajv"),
     axios = require("axios"),
     beautify = require('js-beautify/js').js,
     chalk = require('chalk'),
-    FormData = require("form-data"),
     Fs = require('fs'),
     fs = require('fs').promises,
     isValidPath = require('is-valid-path'),
     Mustache = require('mustache'),
     Path = require('path'),
+    standaloneCode = require('ajv/dist/standalone').default,
     SwaggerParser = require('swagger-parser'),
     validUrl = require('valid-url'),
     xml2js = require('xml2js'),
     yesno = require('yesno');
 
-class ValidationError extends Error {
-    constructor(message) {
-        let stack = [];
+// Options handled by the builder instead of being passed to axios
+const builderOptions = ['credentials', 'server', 'serverVariables', 'responseValidation', 'mock', 'operationName', 'include', 'exclude', 'deprecated', 'resilience', 'pagination', 'recorder'];
 
-        message.forEach(err => {
-            stack.push(`${err.instancePath} ${err.message}, got "${typeof err.data}"`);
-        });
+const httpMethods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
 
-        super(stack.join(', '));
-        this.name = "ValidationError";
-    }
-}
+// Names declared by the exported client, besides its class
+const exportedNames = ['Ajv', 'ApiError', 'ApiResponse', 'Authenticator', 'FormData', 'Paginated', 'Recorder', 'RecordingNotFoundError', 'RequestOptions', 'Resilience', 'ResponseValidationError', 'Runtime', 'URLSearchParams', 'ValidationError'];
+
+// Ajv runtime helpers that the exported client implements for standalone validators
+const standaloneHelpers = ['equal', 'ucs2length'];
 
 class SwaggerClientBuilder {
     /**
      * Create a new SwaggerClientBuilder
      * @param {Object} swaggerJson Swagger JSON
      * @param {Object} options Axios options
+     * @param {Object} options.credentials Credentials keyed by security scheme name
+     * @param {number|string} options.server OpenAPI v3 server index or description
+     * @param {Object} options.serverVariables OpenAPI v3 server variable values
+     * @param {boolean} options.responseValidation Validate response bodies against the response schemas
+     * @param {boolean} options.mock Answer requests with responses generated from the document instead of sending them
+     * @param {Function} options.operationName Name operations, (method, path, operation) => name (defaults to the operationId)
+     * @param {Object} options.include Only build the operations matching { tags, paths, operations, methods } (paths are globs)
+     * @param {Object} options.exclude Leave out the operations matching { tags, paths, operations, methods }
+     * @param {string} options.deprecated Deprecated operations, "warn" (default) warns once when they're called and "omit" leaves them out
+     * @param {Object} options.pagination Pagination keyed by operation name, overriding x-pagination ({ style, items, limit, ... } or false)
+     * @param {Object} options.recorder Record responses to cassettes or replay them ({ mode: "record" | "replay", dir, redact })
+     * @param {Object} options.resilience Retry, timeout and rate limit policies ({ retry, timeout, tags, operations, limiter })
      * @returns {Function} SwaggerClientBuilder instance
      * @constructor SwaggerClientBuilder
      */
@@ -45,30 +72,62 @@ class SwaggerClientBuilder {
         this.components = {};
         this.definitions = {};
         this.options = options || {};
+        this.customBaseURL = Boolean(this.options.baseURL);
         this.api = {}
         this.validator = null;
+        this.schemaRegistry = null;
+        this.compiled = new WeakMap();
         this.instance = null;
+        this.authenticator = null;
+        this.securitySchemes = {};
         this.builtPaths = {};
+        this.operationNames = {};
+        this.paginations = {};
+        this.documentFiles = [];
+
+        // Policies and listeners outlive rebuilds
+        this.resilience = new Resilience(this.options.resilience);
+        this.recorder = this.options.recorder ? new Recorder(this.options.recorder) : null;
+        this.deprecationWarnings = new Set();
     }
 
     async build() {
         try {
-            const api = await SwaggerParser.validate(this.swaggerFile, {
+            // Keep schema references, so shared schemas are compiled once and recursive schemas are supported
+            const parser = new SwaggerParser();
+            const api = await parser.bundle(this.swaggerFile);
+
+            // Local files of the document and its references
+            this.documentFiles = parser.$refs.paths('file');
+
+            await SwaggerParser.validate(JSON.parse(JSON.stringify(api)), {
                 dereference: {
-                    circular: false,
+                    circular: 'ignore',
                 }
             });
 
-            this.validator = new Ajv({ allErrors: true, verbose: true });
-            this._wrapAjv();
+            dereferenceOperations(api);
+
+            this.schemaRegistry = new SchemaRegistry(api);
+            this.validator = this._createValidator({ allErrors: true, verbose: true });
+            this.compiled = new WeakMap();
 
             this.api = api;
-            this.paths = this.api?.paths || {};
             this.components = this.api?.components?.schemas || {};
             this.definitions = this.api?.definitions || {};
 
-            // Check if operationIds are present
-            if (!this._checkOperationIds()) throw new Error("OperationIds are required for all paths");
+            // Name operations, with or without operationId, before filtering them by name
+            const names = this._operationNames(this.api?.paths || {});
+            this.paths = this._filterPaths(this.api?.paths || {}, names);
+
+            this.operationNames = {};
+            for (const path in this.paths) {
+                this.operationNames[path] = Object.fromEntries(Object.entries(names[path]).filter(([methodKey]) => methodKey in this.paths[path]));
+            }
+
+            // Paginated operations get a <operationName>Paginated iterator too
+            for (const name in this.paginations) delete this[`${name}Paginated`];
+            this.paginations = this._paginations();
 
             const options = {};
 
@@ -77,12 +136,36 @@ class SwaggerClientBuilder {
             this.basePath = this.api?.basePath || null;
             this.protocol = this.api?.schemes?.[0] || "http";
 
-            if (this.host) options.baseURL = `${this.protocol}://${this.host}${this.basePath}`;
+            if (this.host) options.baseURL = `${this.protocol}://${this.host}${this.basePath || ''}`;
+
+            // Set baseURL from the selected server in OpenAPI v3 doc
+            this.servers = this.api?.servers || [];
+
+            if (this.servers.length > 0) options.baseURL = this._resolveServer(this.servers);
 
             // Set options
-            if (!this?.options?.baseURL && options.baseURL) this.options = { ...options, ...this.options };
+            if (!this.customBaseURL && options.baseURL) this.options = { ...this.options, baseURL: options.baseURL };
+
+            const axiosOptions = { ...this.options };
+            for (const key of builderOptions) delete axiosOptions[key];
+
+            // Answer requests from the document examples and schemas
+            if (this.options.mock) axiosOptions.adapter = mockAdapter(operationId => this._operation(operationId), { resolve: ref => resolveRef(this.api, { $ref: ref }) });
 
-            this.instance = axios.create(this.options);
+            // Answer requests from the recorded cassettes
+            const replaying = this.recorder?.replaying || false;
+            if (replaying) axiosOptions.adapter = this.recorder.adapter();
+
+            this.instance = axios.create(axiosOptions);
+
+            // Record the responses before they're retried with a new token
+            if (this.recorder && !replaying) this.recorder.intercept(this.instance);
+
+            // Authorize requests using the security schemes, mocked and replayed requests stay offline
+            this.securitySchemes = this.api?.components?.securitySchemes || this.api?.securityDefinitions || {};
+            this.recorder?.secure(this.securitySchemes);
+            this.authenticator = new Authenticator(this.securitySchemes, this.options.credentials, { baseURL: this.options.baseURL });
+            if (!this.options.mock && !replaying) this.authenticator.intercept(this.instance);
 
             // Build paths
             this.builtPaths = this._buildPaths();
@@ -93,44 +176,157 @@ class SwaggerClientBuilder {
         }
     }
 
-    _wrapAjv() {
-        this.validator.addKeyword({
+    _wrapAjv(validator) {
+        validator.addKeyword({
             keyword: 'xml'
         });
 
-        this.validator.addKeyword({
+        validator.addKeyword({
             keyword: 'example'
         });
 
-        this.validator.addFormat('int32', (data) => {
+        validator.addFormat('int32', (data) => {
             return !isNaN(data) && data >= -2147483648 && data <= 2147483647;
         });
 
-        this.validator.addFormat('int64', (data) => {
+        validator.addFormat('int64', (data) => {
             return !isNaN(data) && data >= -9223372036854775808n && data <= 9223372036854775807n;
         });
 
-        this.validator.addFormat('float', (data) => {
+        validator.addFormat('float', (data) => {
             return !isNaN(data) && data >= -3.402823e+38 && data <= 3.402823e+38;
         });
 
-        this.validator.addFormat('double', (data) => {
+        validator.addFormat('double', (data) => {
             return !isNaN(data) && data >= -1.7976931348623157e+308 && data <= 1.7976931348623157e+308;
         });
+
+        // Files aren't checked, they're Buffers or streams anyway
+        validator.addFormat('binary', () => true);
+
+        return validator;
     }
 
-    _checkOperationIds() {
-        const { paths } = this;
+    _createValidator(options) {
+        const validator = this._wrapAjv(new Ajv(options));
+
+        // Named schemas are registered by $id and referenced with $ref
+        return this.schemaRegistry.register(validator);
+    }
+
+    _compile(schema) {
+        // Operations sharing a schema share its validator
+        if (!this.compiled.has(schema)) this.compiled.set(schema, this.validator.compile(this.schemaRegistry.prepare(this.validator, schema)));
+
+        return this.compiled.get(schema);
+    }
+
+    _compileValidators(method, primeSchema) {
+        const validators = { requestBody: {} };
+
+        for (const at of ['path', 'query', 'header', 'cookie', 'body']) {
+            if (primeSchema[at]) validators[at] = this._compile(primeSchema[at]);
+        }
 
+        const bodyParameter = this._bodyParameter(method);
+        if (bodyParameter) validators.bodyParameter = this._compile(bodyParameter.schema || {});
+
+        for (const contentType in method?.requestBody?.content || {}) {
+            const schema = method.requestBody.content[contentType]?.schema;
+            if (schema) validators.requestBody[contentType] = this._compile(schema);
+        }
+
+        // Response validators are looked up by _validateResponse
+        const responseSchemas = this._responseSchemas(method);
+        for (const status in responseSchemas) {
+            for (const contentType in responseSchemas[status]) this._compile(responseSchemas[status][contentType]);
+        }
+
+        return validators;
+    }
+
+    _filterPaths(paths, names) {
+        const filter = operationFilter(this.options);
+        const result = {};
+
+        // Path items keep their parameters and servers
         for (const path in paths) {
-            const methods = paths[path];
-            for (const methodKey in methods) {
-                const method = methods[methodKey];
-                if (!method?.operationId || method?.operationId == "") return false;
+            const pathItem = { ...paths[path] };
+
+            for (const methodKey in pathItem) {
+                if (httpMethods.includes(methodKey) && !filter(methodKey, path, pathItem[methodKey], names[path][methodKey])) delete pathItem[methodKey];
+            }
+
+            if (Object.keys(pathItem).some(key => httpMethods.includes(key))) result[path] = pathItem;
+        }
+
+        filter.check();
+
+        return result;
+    }
+
+    // Deprecated operations warn the first time they're called
+    _warnDeprecated(operationName, methodKey, path) {
+        if (this.deprecationWarnings.has(operationName)) return;
+
+        this.deprecationWarnings.add(operationName);
+        console.warn(`${operationName} (${methodKey.toUpperCase()} ${path}) is deprecated`);
+    }
+
+    _operationNames(paths) {
+        const operations = [];
+
+        for (const path in paths) {
+            for (const methodKey in paths[path]) {
+                if (!httpMethods.includes(methodKey)) continue;
+                operations.push({ method: methodKey, path, operation: paths[path][methodKey] });
             }
         }
 
-        return true;
+        // Operations are assigned to the builder, so they must not shadow its members (operations of a previous build aside)
+        const previous = new Set([
+            ...Object.values(this.operationNames).flatMap(methods => Object.values(methods)),
+            ...Object.keys(this.paginations).map(name => `${name}Paginated`),
+        ]);
+        const members = [...Object.getOwnPropertyNames(SwaggerClientBuilder.prototype), ...Object.keys(this), 'host', 'basePath', 'protocol', 'servers', 'namespaces'];
+        const reserved = members.filter(name => !previous.has(name));
+        const names = operationNames(operations, { operationName: this.options.operationName, reserved });
+
+        const result = {};
+        operations.forEach(({ method, path }, index) => {
+            if (!result[path]) result[path] = {};
+            result[path][method] = names[index];
+        });
+
+        return result;
+    }
+
+    _paginations() {
+        const result = {};
+        const names = new Set(Object.values(this.operationNames).flatMap(methods => Object.values(methods)));
+
+        for (const path in this.operationNames) {
+            for (const methodKey in this.operationNames[path]) {
+                const name = this.operationNames[path][methodKey];
+                const method = this.paths[path][methodKey];
+
+                // The pagination option wins over the document
+                const given = this.options.pagination?.[name] !== undefined ? this.options.pagination[name] : method['x-pagination'];
+                const pagination = normalizePagination(given, name, resolveRef(this.api, this._responseSchema(method)));
+                if (!pagination) continue;
+
+                const iterator = `${name}Paginated`;
+                if (names.has(iterator) || iterator in SwaggerClientBuilder.prototype) throw new Error(`Can't add ${iterator} for the pagination of ${name}, the name is taken`);
+
+                result[name] = pagination;
+            }
+        }
+
+        return result;
+    }
+
+    _operationName(path, methodKey) {
+        return this.operationNames[path]?.[methodKey] || null;
     }
 
     _prepareParameters(parameters) {
@@ -139,6 +335,12 @@ class SwaggerClientBuilder {
         parameters.forEach((parameter) => {
             let { name, required, schema, in: at } = parameter;
 
+            // A Swagger v2 body parameter is the body itself, see _bodyParameter
+            if (at == 'body') return;
+
+            // Swagger v2 non-body parameters describe their schema inline
+            if (!schema && at) schema = this._parameterSchema(parameter);
+
             if (at) {
                 if (at == 'formData') at = 'body';
 
@@ -157,12 +359,310 @@ class SwaggerClientBuilder {
         return primeSchema;
     }
 
+    // Swagger v2 body parameter, the body is validated against its own schema
+    _bodyParameter(method) {
+        return method?.parameters?.find(parameter => parameter.in == 'body') || null;
+    }
+
+    _requestContentTypes(method) {
+        // Swagger v2 form parameters are sent as multipart when there are files or the operation consumes it
+        const form = method?.parameters?.filter(parameter => parameter.in == 'formData') || [];
+
+        if (form.length > 0) {
+            const consumes = method.consumes || this.api?.consumes || [];
+
+            if (form.some(parameter => parameter.type == 'file') || consumes.includes('multipart/form-data')) return ['multipart/form-data'];
+            if (consumes.includes('application/x-www-form-urlencoded')) return ['application/x-www-form-urlencoded'];
+        }
+
+        return Object.keys(method?.requestBody?.content || {});
+    }
+
+    _resolveServer(servers, fallback) {
+        return resolveServer(servers, {
+            server: this.options.server,
+            serverVariables: this.options.serverVariables,
+            base: typeof this.swaggerFile == 'string' && /^https?:\/\//.test(this.swaggerFile) ? this.swaggerFile : null,
+            fallback,
+        });
+    }
+
+    _operationServers(pathItem, method) {
+        const servers = method?.servers || pathItem?.servers || [];
+        return servers.length > 0 ? servers : null;
+    }
+
+    _security(method) {
+        return method?.security || this.api?.security || [];
+    }
+
+    _operation(name) {
+        for (const path in this.paths) {
+            for (const methodKey in this.paths[path]) {
+                if (!httpMethods.includes(methodKey)) continue;
+                if (this._operationName(path, methodKey) == name) return this.paths[path][methodKey];
+            }
+        }
+
+        return null;
+    }
+
+    _operationList() {
+        const operations = [];
+
+        for (const path in this.paths) {
+            for (const methodKey in this.paths[path]) {
+                if (!httpMethods.includes(methodKey)) continue;
+
+                const method = this.paths[path][methodKey];
+                const schema = this._prepareParameters(method.parameters);
+                const required = [];
+
+                for (const at of ['path', 'query', 'header', 'cookie', 'body']) {
+                    for (const name of schema[at]?.required || []) required.push(`${name} (${at})`);
+                }
+
+                if (method.requestBody?.required || this._bodyParameter(method)?.required) required.push('body');
+
+                operations.push({
+                    operation: this._operationName(path, methodKey),
+                    method: methodKey.toUpperCase(),
+                    path,
+                    summary: method.summary || '',
+                    required: required.join(', '),
+                });
+            }
+        }
+
+        return operations;
+    }
+
+    _coerceArguments(operationName, args) {
+        const operation = this._operation(operationName);
+        if (!operation) throw new Error(`Unknown operation "${operationName}"`);
+
+        // Values from the command line are strings, they're coerced to the schema types like the mock server does
+        const route = this._routes().find(route => route.operation === operation);
+        const errors = route.validate(args);
+        if (errors) throw new ValidationError(errors);
+
+        return args;
+    }
+
+    _routes() {
+        // Request values arrive as strings, so coerce them to the schema types (verbose errors tell the invalid values)
+        const validator = this._createValidator({ allErrors: true, verbose: true, coerceTypes: 'array' });
+        const routes = [];
+
+        // Validators are compiled once, routes sharing a schema share its validator
+        const compiled = new WeakMap();
+        const compile = (schema) => {
+            if (!compiled.has(schema)) compiled.set(schema, validator.compile(this.schemaRegistry.prepare(validator, schema)));
+
+            return compiled.get(schema);
+        };
+
+        for (const path in this.paths) {
+            const methods = this.paths[path];
+
+            for (const methodKey in methods) {
+                if (!httpMethods.includes(methodKey)) continue;
+
+                const method = methods[methodKey];
+                const schema = this._prepareParameters(method.parameters);
+                const names = [];
+                const pattern = path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/{(.*?)}/g, (m, name) => {
+                    names.push(name);
+                    return '([^/]+)';
+                });
+
+                // Swagger v2 body parameter or formData parameters, and OpenAPI v3 requestBody
+                const bodyParameter = this._bodyParameter(method);
+                const content = method.requestBody?.content || {};
+                const validators = { requestBody: {} };
+
+                for (const at of ['path', 'query', 'header', 'cookie', 'body']) {
+                    if (schema[at]) validators[at] = compile(schema[at]);
+                }
+
+                if (bodyParameter) validators.bodyParameter = compile(bodyParameter.schema || {});
+
+                for (const type in content) {
+                    if (content[type]?.schema) validators.requestBody[type] = compile(content[type].schema);
+                }
+
+                const validate = ({ params, query, headers, cookies, body, contentType }) => {
+                    const errors = [];
+                    const check = (validation, data, at) => {
+                        if (!validation(data)) errors.push(...validation.errors.map(error => ({ ...error, in: at })));
+                    };
+
+                    if (validators.path) check(validators.path, params, 'path');
+                    if (validators.query) check(validators.query, query, 'query');
+                    if (validators.header) check(validators.header, headers, 'header');
+                    if (validators.cookie) check(validators.cookie, cookies, 'cookie');
+
+                    if (bodyParameter) {
+                        if (bodyParameter.required || body !== undefined) check(validators.bodyParameter, body, 'body');
+                    } else if (validators.body) {
+                        check(validators.body, body || {}, 'body');
+                    }
+
+                    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+                    const requestBodyValidator = validators.requestBody[content[type] ? type : Object.keys(content)[0]];
+
+                    if (method.requestBody?.required && body === undefined) {
+                        errors.push({ in: 'body', message: 'request body is required' });
+                    } else if (requestBodyValidator && body !== undefined) {
+                        check(requestBodyValidator, body, 'body');
+                    }
+
+                    return errors.length > 0 ? errors : null;
+                };
+
+                routes.push({
+                    method: methodKey,
+                    path,
+                    regex: new RegExp(`^${pattern}/?$`),
+                    names,
+                    operation: method,
+                    schema,
+                    styles: parameterStyles(method.parameters),
+                    validate,
+                });
+            }
+        }
+
+        // Match literal paths before templated ones (/pet/findByStatus before /pet/{petId})
+        return routes.sort((a, b) => a.names.length - b.names.length);
+    }
+
+    /**
+     * Listen to request events: "request" and "response" per attempt, "retry" before waiting and "failure" when giving up
+     * @param {string} event Event name
+     * @param {Function} listener Listener, called with { operationId, method, attempt, status, delay, duration, error }
+     * @returns {Function} Remove the listener
+     */
+    on(event, listener) {
+        return this.resilience.on(event, listener);
+    }
+
+    /**
+     * Create a mock HTTP server answering every operation from the document examples and schemas
+     * @returns {http.Server} HTTP server (call listen() to start it)
+     */
+    mockServer() {
+        return createMockServer(this);
+    }
+
+    /**
+     * Compare with another version of the document and classify the changes as breaking or not
+     * @param {SwaggerClientBuilder|string|Object} other New version, a builder or a swagger file path, URL or object
+     * @returns {Promise<Object>} Report ({ breaking, changes: [{ breaking, type, operation, location, message }] })
+     */
+    async diff(other) {
+        const next = other instanceof SwaggerClientBuilder ? other : new SwaggerClientBuilder(other);
+
+        // Build the documents that aren't built yet
+        if (!this.schemaRegistry) await this.build();
+        if (!next.schemaRegistry) await next.build();
+
+        return diffDocuments(this._describeOperations(), next._describeOperations());
+    }
+
+    _describeOperations() {
+        const operations = [];
+
+        for (const path in this.paths) {
+            for (const methodKey in this.paths[path]) {
+                if (!httpMethods.includes(methodKey)) continue;
+
+                const method = this.paths[path][methodKey];
+                const parameters = {};
+                let requestBody = method.requestBody ? { required: Boolean(method.requestBody.required), content: {} } : null;
+
+                for (const contentType in method.requestBody?.content || {}) requestBody.content[contentType] = method.requestBody.content[contentType]?.schema || {};
+
+                for (const parameter of method.parameters || []) {
+                    // Swagger v2 body parameter is the request body
+                    if (parameter.in == 'body') {
+                        requestBody = { required: Boolean(parameter.required), content: { '*/*': parameter.schema || {} } };
+                        continue;
+                    }
+
+                    parameters[`${parameter.in} ${parameter.name}`] = {
+                        name: parameter.name,
+                        in: parameter.in,
+                        required: Boolean(parameter.required || parameter.in == 'path'),
+                        schema: parameter.schema || this._parameterSchema(parameter),
+                    };
+                }
+
+                operations.push({
+                    name: this._operationName(path, methodKey),
+                    method: methodKey,
+                    path,
+                    parameters,
+                    requestBody,
+                    responses: this._responseSchemas(method),
+                });
+            }
+        }
+
+        return {
+            document: this.api,
+            operations,
+            schemas: { ...this.definitions, ...this.components },
+        };
+    }
+
+    _parameterSchema(parameter) {
+        const keys = ['type', 'format', 'items', 'enum', 'default', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems', 'uniqueItems', 'multipleOf'];
+        const schema = {};
+
+        for (const key of keys) {
+            if (parameter[key] !== undefined) schema[key] = parameter[key];
+        }
+
+        // "file" isn't a JSON schema type
+        if (schema.type == 'file') {
+            delete schema.type;
+            delete schema.format;
+        }
+
+        return schema;
+    }
+
+    _convertHeaders(headers, cookies, existing, styles) {
+        const converted = {};
+        const pairs = [];
+
+        for (const key in headers) {
+            const value = headers[key];
+            if (value === undefined || value === null) continue;
+            converted[key] = serializeHeader(value, styles?.header?.[key]);
+        }
+
+        for (const key in cookies) {
+            const value = cookies[key];
+            if (value === undefined || value === null) continue;
+            pairs.push(serializeCookie(key, value, styles?.cookie?.[key]));
+        }
+
+        // Explicit request headers take precedence over header parameters, cookies are appended
+        const merged = { ...converted, ...existing };
+        if (pairs.length > 0) merged["Cookie"] = existing?.["Cookie"] ? `${existing["Cookie"]}; ${pairs.join('; ')}` : pairs.join('; ');
+
+        return merged;
+    }
+
     _buildPaths() {
         try {
             const that = this;
-            const { validator, paths } = this;
+            const { paths } = this;
 
             const primeObject = {};
+            const namespaces = {};
 
             // Loop through paths
             for (const path in paths) {
@@ -171,40 +671,65 @@ class SwaggerClientBuilder {
                 primeObject[path] = {};
 
                 for (const methodKey in methods) {
+                    if (!httpMethods.includes(methodKey)) continue;
+
                     const method = methods[methodKey];
                     const { parameters } = method;
+                    const operationName = this._operationName(path, methodKey);
 
                     // Convert parameters to jsonschema
                     const primeSchema = this._prepareParameters(parameters);
 
-                    primeObject[path][methodKey] = async function (args) {
+                    // Compile the validators once per operation
+                    const validators = this._compileValidators(method, primeSchema);
+                    const bodyParameter = this._bodyParameter(method);
+
+                    // Parameter serialization styles
+                    const styles = parameterStyles(parameters);
+
+                    // Operation security overrides the global security
+                    const security = this._security(method);
+
+                    // Path and operation servers override the global servers
+                    const servers = this._operationServers(methods, method);
+                    const baseURL = servers && !this.customBaseURL ? this._resolveServer(servers, true) : null;
+
+                    // Responses are received and decoded according to their declared content types
+                    const format = responseFormat(method, this.api?.produces);
+
+                    // Request body content types and how multipart parts are encoded
+                    const contentTypeKeys = this._requestContentTypes(method);
+                    const encoding = multipartEncoding(method);
+
+                    primeObject[path][methodKey] = async function (args = {}) {
                         return new Promise(async (resolve, reject) => {
                             try {
-                                let { params = {}, query = {}, body = {}, options = {} } = args;
+                                let { params = {}, query = {}, body = {}, headers = {}, cookies = {}, options = {} } = args;
+                                let parts = null;
+
+                                if (method.deprecated === true) that._warnDeprecated(operationName, methodKey, path);
 
                                 // Validate query
-                                if (primeSchema.query) {
-                                    const queryValidation = this.validator.compile(primeSchema.query)
-                                    if (!queryValidation.schemaEnv.validate(query)) throw new ValidationError(queryValidation.errors);
-                                }
+                                if (validators.query && !validators.query(query)) throw new ValidationError(validators.query.errors);
 
                                 // Validate params
-                                if (primeSchema.path) {
-                                    const paramsValidation = this.validator.compile(primeSchema.path)
-                                    if (!paramsValidation.schemaEnv.validate(params)) throw new ValidationError(paramsValidation.errors);
-                                }
+                                if (validators.path && !validators.path(params)) throw new ValidationError(validators.path.errors);
 
-                                // Validate body
-                                if (primeSchema.body) {
-                                    const bodyValidation = this.validator.compile(primeSchema.body)
-                                    if (!bodyValidation.schemaEnv.validate(query)) throw new ValidationError(bodyValidation.errors);
-                                }
+                                // Validate headers
+                                if (validators.header && !validators.header(headers)) throw new ValidationError(validators.header.errors);
+
+                                // Validate cookies
+                                if (validators.cookie && !validators.cookie(cookies)) throw new ValidationError(validators.cookie.errors);
+
+                                // Validate body, an optional body parameter when it's given
+                                if (validators.body && !validators.body(body)) throw new ValidationError(validators.body.errors);
+                                if (bodyParameter && (bodyParameter.required || args.body !== undefined) && !validators.bodyParameter(body)) throw new ValidationError(validators.bodyParameter.errors);
 
                                 // Replace path parameters
-                                const urlPath = path.replace(/{(.*?)}/g, (m, c) => params[c]);
+                                const urlPath = serializePath(path, params, styles.path);
 
                                 // Convert params object to query string
-                                const queryString = new URLSearchParams(query).toString();
+                                const queryString = serializeQuery(query, styles.query);
 
                                 // Build url
                                 const url = `${urlPath}${queryString ? `?${queryString}` : ""}`;
@@ -212,12 +737,11 @@ class SwaggerClientBuilder {
                                 // Set content-type
                                 let contentType = options?.headers?.['Content-Type'] || "application/json";
 
+                                // Recorded as given
+                                const input = body;
+
                                 // Resolve content-type and validate body
                                 if (["post", "put", "patch"].includes(methodKey)) {
-                                    // requestBody content types
-                                    const requestContentTypes = method?.requestBody?.content || {};
-                                    const contentTypeKeys = Object.keys(requestContentTypes);
-
                                     // Set content-type to first content type if content type didn't match
                                     if (!contentTypeKeys.includes(contentType) && contentTypeKeys[0]) {
                                         contentType = contentTypeKeys[0];
@@ -226,19 +750,17 @@ class SwaggerClientBuilder {
                                     }
 
                                     // Validate requestBody component schema
-                                    const requestBodySchema = method?.requestBody?.content?.[contentType]?.schema;
+                                    const requestBodyValidation = validators.requestBody[contentType];
 
-                                    if (requestBodySchema) {
-                                        const bodyValidation = this.validator.compile(requestBodySchema)
-                                        if (!bodyValidation.schemaEnv.validate(body)) throw new ValidationError(bodyValidation.errors);
-                                    }
+                                    // Files are validated as binary strings
+                                    const requestBodyData = contentType == "multipart/form-data" ? multipartValues(body) : body;
+
+                                    if (requestBodyValidation && !requestBodyValidation(requestBodyData)) throw new ValidationError(requestBodyValidation.errors);
 
                                     // Convert body to content-type
                                     if (contentType == "multipart/form-data") {
-                                        // Convert body to form data
-                                        const formData = new FormData();
-                                        for (const key in body) formData.append(key, body[key]);
-                                        body = formData;
+                                        // Converted to form data, part by part, for every attempt as a form is read once
+                                        parts = body;
                                     } else if (contentType == "application/x-www-form-urlencoded") {
                                         // Convert body to url encoded
                                         body = new URLSearchParams(body).toString();
@@ -253,14 +775,41 @@ class SwaggerClientBuilder {
                                 if (!options?.headers) options.headers = {};
                                 options.headers["content-type"] = contentType;
 
-                                // Make request
-                                const response = await that.instance({
+                                // Add header and cookie parameters
+                                options.headers = that._convertHeaders(headers, cookies, options.headers, styles);
+
+                                // A responseType set by the caller is left as axios returns it
+                                const decoding = !options.responseType;
+
+                                // Make request, retried and limited by the policy of the operation
+                                const context = { operationId: operationName, tag: that._tag(method), method: methodKey, signal: options.signal };
+
+                                const response = await that.resilience.execute(context, async config => that.instance({
                                     method: methodKey,
                                     url,
-                                    data: body,
+                                    data: parts ? await multipartBody(parts, encoding) : body,
+                                    security,
+                                    operationId: operationName,
+                                    ...(baseURL ? { baseURL } : {}),
+                                    ...(that.recorder ? { recording: { operationId: operationName, path, params, query, body: parts ? multipartValues(parts) : input } } : {}),
+                                    ...(decoding && responseTypes[format] ? { responseType: responseTypes[format] } : {}),
+                                    ...config,
                                     ...options,
+                                })).catch(async error => {
+                                    // Reject non-2xx responses with the body checked against the error schema
+                                    if (!error?.response) throw error;
+                                    if (decoding) await decodeResponse(error.response, format);
+                                    throw new ApiError(error.response, operationName, that._validateResponse(method, error.response, format));
                                 });
 
+                                if (decoding) await decodeResponse(response, format);
+
+                                // Validate response body
+                                if (that.options.responseValidation) {
+                                    const errors = that._validateResponse(method, response, format);
+                                    if (errors) throw new ResponseValidationError(errors, response, operationName);
+                                }
+
                                 resolve(response);
                             } catch (error) {
                                 reject(error);
@@ -269,11 +818,33 @@ class SwaggerClientBuilder {
                         );
                     };
 
-                    // Use operationId as method name if present
-                    if (method?.operationId && method?.operationId != "") this[method.operationId] = primeObject[path][methodKey];
+                    // Use the operation name as method name
+                    this[operationName] = primeObject[path][methodKey];
+
+                    // Group operations by their first tag
+                    const tag = this._tag(method);
+                    if (!namespaces[tag]) namespaces[tag] = {};
+                    namespaces[tag][operationName] = primeObject[path][methodKey];
+
+                    // Iterate the items of every page
+                    const pagination = this.paginations[operationName];
+                    if (pagination) {
+                        const request = primeObject[path][methodKey];
+                        this[`${operationName}Paginated`] = namespaces[tag][`${operationName}Paginated`] = (args) => paginate(request, args, pagination);
+                    }
                 }
             }
 
+            // Expose tag namespaces (e.g. Client.pet.getPetById)
+            for (const name of Object.keys(this.namespaces || {})) delete this[name];
+            this.namespaces = {};
+
+            for (const tag in namespaces) {
+                const name = this._namespaceName(tag);
+                this[name] = namespaces[tag];
+                this.namespaces[name] = tag;
+            }
+
             return primeObject;
 
         } catch (error) {
@@ -281,50 +852,237 @@ class SwaggerClientBuilder {
         }
     }
 
-    async _prepareForMustache(validation) {
+    _tag(method) {
+        return method?.tags?.[0] || 'default';
+    }
+
+    _namespaceName(tag) {
+        const name = typeName(tag).replace(/^_?./, c => c.toLowerCase());
+
+        // Don't shadow builder members or operations
+        return name in this && !this.namespaces?.[name] ? `${name}Api` : name;
+    }
+
+    _responseSchema(method) {
+        const responses = method?.responses || {};
+        const statusCode = Object.keys(responses).find(code => /^2/.test(code)) || (responses.default ? 'default' : null);
+        if (!statusCode) return null;
+
+        return this._contentSchema(responses[statusCode]);
+    }
+
+    _contentSchema(response, contentType) {
+        // Swagger v2
+        if (response?.schema) return response.schema;
+
+        // OpenAPI v3
+        const content = response?.content || {};
+        const type = (contentType || '').split(';')[0].trim().toLowerCase();
+        const key = content[type] ? type
+            : Object.keys(content).find(key => key == `${type.split('/')[0]}/*`)
+            || (content['*/*'] ? '*/*' : null)
+            || Object.keys(content).find(key => /json/.test(key))
+            || Object.keys(content)[0];
+
+        return content?.[key]?.schema || null;
+    }
+
+    _responseSchemaFor(method, status, contentType) {
+        const responses = method?.responses || {};
+        const response = responses[String(status)] || responses[`${String(status)[0]}XX`] || responses.default;
+
+        return response ? this._contentSchema(response, contentType) : null;
+    }
+
+    _responseSchemas(method) {
+        const schemas = {};
+
+        for (const status in method?.responses || {}) {
+            const response = method.responses[status];
+
+            // Swagger v2 has a single schema for every content type
+            if (response?.schema) schemas[status] = { '*/*': response.schema };
+
+            for (const contentType in response?.content || {}) {
+                if (!response.content[contentType]?.schema) continue;
+                if (!schemas[status]) schemas[status] = {};
+                schemas[status][contentType] = response.content[contentType].schema;
+            }
+        }
+
+        return schemas;
+    }
+
+    _validateResponse(method, response, format) {
+        // Binary, streamed and XML bodies aren't validated
+        if (!['json', 'text'].includes(decodedFormat(response, format))) return null;
+
+        const schema = this._responseSchemaFor(method, response.status, response.headers?.['content-type']);
+        if (!schema) return null;
+
+        const validation = this._compile(schema);
+        return validation(response.data) ? null : validation.errors;
+    }
+
+    _prepareTypes(generator, operationName, method, schema, requestBodySchema, format) {
+        const name = typeName(operationName);
+
+        // Swagger v2 "in: body" parameter is the whole body, "in: formData" parameters are its properties
+        const bodyParameter = this._bodyParameter(method);
+        const bodySchema = requestBodySchema || bodyParameter?.schema || schema?.body;
+
+        const declarations = {
+            params: schema?.path ? generator.declare(`${name}Params`, schema.path) : null,
+            query: schema?.query ? generator.declare(`${name}Query`, schema.query) : null,
+            headers: schema?.header ? generator.declare(`${name}Headers`, schema.header) : null,
+            cookies: schema?.cookie ? generator.declare(`${name}Cookies`, schema.cookie) : null,
+            body: bodySchema ? generator.declare(`${name}Body`, bodySchema) : null,
+            response: generator.declare(`${name}Response`, this._responseSchema(method)),
+        };
+
+        return {
+            declarations: Object.values(declarations).filter(Boolean).join('\n\n'),
+            params: declarations.params ? `${name}Params` : 'Record<string, any>',
+            query: declarations.query ? `${name}Query` : 'Record<string, any>',
+            headers: declarations.headers ? `${name}Headers` : 'Record<string, any>',
+            cookies: declarations.cookies ? `${name}Cookies` : 'Record<string, any>',
+            body: declarations.body ? `${name}Body` : 'any',
+            response: `${name}Response`,
+            // Newline delimited JSON is iterated, the response type is the type of a line
+            responseData: format == 'ndjson' ? `AsyncIterable<${name}Response>` : `${name}Response`,
+            paramsRequired: schema?.path?.required?.length > 0,
+            queryRequired: schema?.query?.required?.length > 0,
+            headersRequired: schema?.header?.required?.length > 0,
+            cookiesRequired: schema?.cookie?.required?.length > 0,
+            bodyRequired: method?.requestBody?.required === true || bodyParameter?.required === true || schema?.body?.required?.length > 0,
+        };
+    }
+
+    // The view is the template context documented in the README, its fields are kept stable for custom templates
+    async _prepareForMustache(validation, runtime, filter, className) {
         const paths = [];
         const dependencies = {};
+        const fetch = runtime == 'fetch';
+
+        // The fetch runtime uploads the files the global FormData accepts
+        const generator = new TypeGenerator({ ...this.definitions, ...this.components }, {
+            resolve: ref => resolveRef(this.api, { $ref: ref }),
+            reserved: [className],
+            ...(fetch ? { fileType: 'Blob | ArrayBuffer | ArrayBufferView' } : {}),
+        });
+
         for (const path in this.paths) {
             const methods = this.paths[path];
             for (const methodKey in methods) {
+                if (!httpMethods.includes(methodKey)) continue;
+
                 const method = methods[methodKey];
                 const { parameters } = method;
+                const operationName = this._operationName(path, methodKey);
+
+                // Export filters apply on top of the build filters
+                if (!filter(methodKey, path, method, operationName)) continue;
 
                 let schema = {};
                 if (parameters) schema = this._prepareParameters(parameters);
 
                 // Replace path parameters
 
-                const contentType = Object.keys(method?.requestBody?.content || {})[0] || "application/json";
+                const contentType = this._requestContentTypes(method)[0] || "application/json";
+                const requestBodySchema = method?.requestBody?.content?.[contentType]?.schema;
+                const bodyParameter = this._bodyParameter(method);
+                const format = responseFormat(method, this.api?.produces);
+                const types = this._prepareTypes(generator, operationName, method, schema, requestBodySchema, format);
+                const pagination = this.paginations[operationName] || null;
+
+                // Page items are typed from the response, any if the response schema doesn't tell where they are
+                if (pagination) {
+                    const type = pagination.items === null ? null : pagination.items.split('.').filter(Boolean).reduce((type, key) => `NonNullable<${type}>[${JSON.stringify(key)}]`, types.response);
+                    types.item = type ? `NonNullable<${type}>[number]` : 'any';
+                }
+
+                // The fetch runtime doesn't parse or build XML
+                if (fetch && format == 'xml') types.responseData = 'string';
+                if (fetch && contentType == 'application/xml') types.body = 'string';
 
                 if (contentType == 'multipart/form-data') {
                     dependencies['FormData'] = ['form-data'];
+                    dependencies['{ createReadStream }'] = ['fs'];
+                    dependencies['{ basename }'] = ['path'];
                 } else if (contentType == 'application/xml') {
                     dependencies['xml2js'] = ['xml2js'];
                 }
+
+                // XML responses are parsed too
+                if (format == 'xml') dependencies['xml2js'] = ['xml2js'];
                 paths.push({
                     id: `${path}/${methodKey}`,
+                    tag: this._tag(method),
+                    tagName: JSON.stringify(this._tag(method)),
                     path,
                     method: methodKey,
                     description: `${methodKey.toUpperCase()} ${path}${method?.summary ? ' (' + method.summary + ')' : ''}`,
-                    operationId: method?.operationId || null,
+                    summary: method?.summary || null,
+                    operationId: operationName,
+                    docs: operationDocs(method),
+                    deprecated: method.deprecated === true,
+                    deprecationMessage: JSON.stringify(`${operationName} (${methodKey.toUpperCase()} ${path}) is deprecated`),
                     contentType,
                     isPost: ['post', 'put', 'patch'].includes(methodKey),
                     isXML: contentType == 'application/xml',
                     isFormData: contentType == 'multipart/form-data',
+                    // Forms are built for every attempt, a sent form can't be sent again
+                    multipartRequest: ['post', 'put', 'patch'].includes(methodKey) && contentType == 'multipart/form-data',
+                    multipartEncoding: JSON.stringify(multipartEncoding(method)),
                     isUrlEncoded: contentType == 'application/x-www-form-urlencoded',
-                    paramsSchema: schema?.params ? JSON.stringify(schema.params, null, 4) : null,
+                    responseFormat: format,
+                    responseType: responseTypes[format] || null,
+                    paramsSchema: schema?.path ? JSON.stringify(schema.path, null, 4) : null,
                     querySchema: schema?.query ? JSON.stringify(schema.query, null, 4) : null,
-                    bodySchema: schema?.body ? JSON.stringify(schema.body, null, 4) : null,
-                    requestBodySchema: method?.requestBody?.content?.[contentType]?.schema ? JSON.stringify(method.requestBody.content[contentType].schema, null, 4) : null,
-                    renderId: schema?.params || schema?.query || schema?.body || method?.requestBody?.content?.[contentType]?.schema ? validation ? true : false : false,
+                    bodySchema: bodyParameter ? JSON.stringify(bodyParameter.schema || {}, null, 4) : schema?.body ? JSON.stringify(schema.body, null, 4) : null,
+                    headersSchema: schema?.header ? JSON.stringify(schema.header, null, 4) : null,
+                    cookiesSchema: schema?.cookie ? JSON.stringify(schema.cookie, null, 4) : null,
+                    requestBodySchema: requestBodySchema ? JSON.stringify(requestBodySchema, null, 4) : null,
+                    renderId: schema?.path || schema?.query || schema?.body || bodyParameter || schema?.header || schema?.cookie || requestBodySchema ? validation ? true : false : false,
+                    types,
+                    security: this._security(method).length > 0 ? JSON.stringify(this._security(method)) : null,
+                    servers: this._operationServers(methods, method) ? JSON.stringify(this._operationServers(methods, method)) : null,
+                    styles: JSON.stringify(parameterStyles(parameters)),
+                    responseSchemas: JSON.stringify(this._responseSchemas(method), null, 4),
+                    responses: Object.keys(method.responses || {}).map(status => ({
+                        status,
+                        description: method.responses[status]?.description || '',
+                        contentTypes: Object.keys(method.responses[status]?.content || {}),
+                    })),
+                    validators: [
+                        schema?.path && { key: 'params', argument: 'params', schema: schema.path },
+                        schema?.query && { key: 'query', argument: 'query', schema: schema.query },
+                        schema?.body && { key: 'body', argument: 'body', schema: schema.body },
+                        bodyParameter && { key: 'bodyParameter', argument: 'body', schema: bodyParameter.schema || {}, optional: !bodyParameter.required },
+                        schema?.header && { key: 'headers', argument: 'headers', schema: schema.header },
+                        schema?.cookie && { key: 'cookies', argument: 'cookies', schema: schema.cookie },
+                        requestBodySchema && { key: 'requestBody', argument: contentType == 'multipart/form-data' ? 'multipartValues(body)' : 'body', schema: requestBodySchema },
+                    ].filter(Boolean),
+                    mockResponse: JSON.stringify(mockResponse(method, { resolve: ref => resolveRef(this.api, { $ref: ref }) }), null, 4),
+                    pagination: pagination ? JSON.stringify(pagination) : null,
+                    argsRequired: types.paramsRequired || types.queryRequired || types.headersRequired || types.cookiesRequired || types.bodyRequired,
                 });
             }
         }
 
+        filter.check();
+
         return {
             paths,
-            dependencies
+            tags: this._groupByTag(paths),
+            dependencies,
+            typeDeclarations: generator.declareSchemas().join('\n\n'),
+            hasServers: this.servers.length > 0 || paths.some(path => path.servers),
+            servers: JSON.stringify(this.servers, null, 4),
+            hasSecurity: Object.keys(this.securitySchemes).length > 0,
+            securitySchemes: JSON.stringify(this.securitySchemes, null, 4),
+            paginated: paths.some(path => path.pagination),
+            hasDeprecated: paths.some(path => path.deprecated),
         };
     }
 
@@ -340,43 +1098,120 @@ class SwaggerClientBuilder {
      * @param {boolean} options.es Use ES module import instead of CommonJs
      * @param {boolean} options.ts Use TypeScript instead of JavaScript
      * @param {string} options.target Target output ("file" or "bash")
+     * @param {number|string} options.server Default OpenAPI v3 server index or description
+     * @param {object} options.serverVariables Default OpenAPI v3 server variable values
+     * @param {string} options.baseURL Default base URL of the requests, instead of the document servers
+     * @param {boolean} options.split Export a directory with a module per tag (filePath is the directory)
+     * @param {boolean} options.mock Embed generated responses for the "mock" client option
+     * @param {boolean} options.recorder Embed the recorder for the "recorder" client option (reads and writes cassettes with fs)
+     * @param {boolean} options.standalone Embed precompiled validators instead of depending on Ajv (implies validation)
+     * @param {string} options.runtime HTTP runtime ("axios" or "fetch" for the global fetch, without dependencies)
+     * @param {object} options.include Only export the built operations matching { tags, paths, operations, methods } (paths are globs)
+     * @param {object} options.exclude Leave out the built operations matching { tags, paths, operations, methods }
+     * @param {string} options.deprecated Deprecated operations, "warn" (default) warns once when they're called and "omit" leaves them out
+     * @param {string} options.template Template file path, instead of the bundled template.mustache (single file exports)
+     * @param {string|object} options.partials Directory of .mustache partials, or partials keyed by name, overriding the bundled ones
+     * @param {string} options.className Name of the exported client class (default "Client")
+     * @param {object} options.view Extra data for the templates, its keys must not be computed by the export
      * @returns {object}
      */
     async export(filePath, options) {
-        const validation = options?.validation || false,
+        const standalone = options?.standalone || false,
+            validation = options?.validation || standalone,
             es = options?.es || false,
             ts = options?.ts || false,
-            target = options?.target || 'file';
-
-        const dependencies = [
+            target = options?.target || 'file',
+            server = options?.server ?? null,
+            serverVariables = options?.serverVariables || {},
+            baseURL = options?.baseURL || null,
+            split = options?.split || false,
+            mock = options?.mock || false,
+            recorder = options?.recorder || false,
+            runtime = options?.runtime || 'axios',
+            filter = operationFilter({ include: options?.include, exclude: options?.exclude, deprecated: options?.deprecated }),
+            template = options?.template || null,
+            className = options?.className || 'Client',
+            extra = options?.view || {};
+
+        if (!['axios', 'fetch'].includes(runtime)) throw new Error(`Runtime must be axios or fetch, got "${runtime}"`);
+        if (typeName(className) !== className || exportedNames.includes(className)) throw new Error(`Class name must be a PascalCase identifier that the exported client doesn't use, got "${className}"`);
+        if (typeof extra != 'object' || Array.isArray(extra)) throw new Error("View must be an object");
+
+        // The split templates render every file of a split export
+        if (template && split) throw new Error("Split exports don't use a template, override the split-index, split-tag and split-runtime partials instead");
+
+        const fetch = runtime == 'fetch';
+
+        // Make sure the default server exists
+        if (server !== null) resolveServer(this.servers, { server, serverVariables });
+
+        // The fetch runtime uses globals only
+        const dependencies = fetch ? [] : [
             { name: 'axios', path: 'axios' },
             { name: '{ URLSearchParams }', path: 'url' },
         ];
 
-        if (validation) dependencies.push({ name: 'Ajv', path: 'ajv' });
-        if (ts) {
-            dependencies.push({ name: '{ CreateAxiosDefaults }', path: 'axios' });
+        if (validation && !standalone) dependencies.push({ name: 'Ajv', path: 'ajv' });
+        if (ts && !fetch) {
+            dependencies.push({ name: '{ AxiosRequestConfig, AxiosResponse, CreateAxiosDefaults }', path: 'axios' });
         }
 
-        const prepared = await this._prepareForMustache(validation);
+        const prepared = await this._prepareForMustache(validation, runtime, filter, className);
+
+        // Validators are compiled once, in the client constructor or at export time
+        const validators = validation ? this._exportValidators(prepared.paths, { standalone, ts }) : {};
 
         // Add dependencies
-        for (const dependency in prepared.dependencies) {
+        for (const dependency in fetch ? {} : prepared.dependencies) {
             dependencies.push({ name: dependency, path: prepared.dependencies[dependency] });
         }
 
+        // Cassettes are files, whatever the runtime
+        if (recorder) dependencies.push({ name: 'fs', path: 'fs' }, { name: 'Path', path: 'path' });
 
-        let code = Mustache.render((await fs.readFile(Path.join(__dirname, 'template.mustache'), 'utf8')).toString(), {
+
+        const view = {
             ts,
             es,
             validation,
+            standalone,
+            standaloneCode: validators.code,
+            schemas: validators.schemas,
+            mock,
+            recorder,
+            fetch,
+            xml: !fetch && Boolean(prepared.dependencies['xml2js']),
+            multipart: Boolean(prepared.dependencies['FormData']),
             dependencies,
             paths: prepared.paths,
-        })
+            tags: prepared.tags,
+            clientName: className,
+            paginated: prepared.paginated,
+            hasDeprecated: prepared.hasDeprecated,
+            typeDeclarations: prepared.typeDeclarations,
+            hasSecurity: prepared.hasSecurity,
+            securitySchemes: prepared.securitySchemes,
+            hasServers: prepared.hasServers,
+            servers: prepared.servers,
+            server: JSON.stringify(server),
+            serverVariables: JSON.stringify(serverVariables),
+            baseURL: baseURL ? JSON.stringify(baseURL) : null,
+            documentURL: JSON.stringify(typeof this.swaggerFile == 'string' && /^https?:\/\//.test(this.swaggerFile) ? this.swaggerFile : null),
+        };
 
-        code = this._removeDoubleEmptyLines(code);
+        // Extra data can't change what the export computed
+        for (const key in extra) {
+            if (key in view) throw new Error(`View data can't replace "${key}", it's computed by the export`);
+            view[key] = extra[key];
+        }
 
-        const beautifiedCode = beautify(code, { indent_size: 4, space_in_empty_paren: true });
+        const partials = await this._loadPartials(options?.partials);
+
+        if (split) return this._exportSplit(filePath, view, partials, { ts, target });
+
+        const source = (await fs.readFile(template ? Path.resolve(template) : Path.join(__dirname, 'template.mustache'), 'utf8')).toString();
+
+        const beautifiedCode = this._render(source, view, partials);
 
         if (target == 'file') await fs.writeFile(filePath, beautifiedCode);
 
@@ -385,6 +1220,154 @@ class SwaggerClientBuilder {
             code: beautifiedCode
         };
     }
+
+    _exportValidators(paths, options) {
+        const { standalone, ts } = options;
+        const ajv = standalone ? this._createValidator({ code: { source: true, formats: Ajv._`formats` } }) : null;
+        const names = {};
+
+        // Referenced schemas are registered once by $id in the exported client
+        const compile = (schema, name) => {
+            if (!standalone) return `this.validator.compile(${JSON.stringify(this.schemaRegistry.toAjv(schema), null, 4)})`;
+
+            ajv.addSchema(this.schemaRegistry.prepare(ajv, schema), name);
+            names[name] = name;
+
+            return `standaloneValidators[${JSON.stringify(name)}]`;
+        };
+
+        for (const path of paths) {
+            for (const validator of path.validators) validator.compiled = compile(validator.schema, `${path.operationId}_${validator.key}`);
+
+            // Keyed by status code and content type, like the response schemas
+            const responseSchemas = JSON.parse(path.responseSchemas);
+            const responses = [];
+            let index = 0;
+
+            for (const status in responseSchemas) {
+                const contentTypes = Object.keys(responseSchemas[status])
+                    .map(contentType => `${JSON.stringify(contentType)}: ${compile(responseSchemas[status][contentType], `${path.operationId}_response${index++}`)}`);
+                responses.push(`${JSON.stringify(status)}: { ${contentTypes.join(', ')} }`);
+            }
+
+            path.responseValidators = `{ ${responses.join(', ')} }`;
+        }
+
+        if (!standalone) return { schemas: JSON.stringify(this.schemaRegistry.schemas, null, 4), code: null };
+
+        let code = standaloneCode(ajv, names)
+            .replace(/^"use strict";/, '')
+            .replace(/require\("ajv\/dist\/runtime\/(\w+)"\)\.default/g, (m, name) => {
+                if (!standaloneHelpers.includes(name)) throw new Error(`Standalone validation doesn't support the Ajv runtime helper "${name}"`);
+                return `ajvRuntime.${name}`;
+            });
+
+        if (/require\(/.test(code)) throw new Error("Standalone validation code requires external modules");
+
+        // Generated validators are plain JavaScript, annotate what strict mode can't infer
+        if (ts) {
+            code = code
+                .replace(/function (\w+)\(data, \{(.*?)\}=\{\}\)/g, 'function $1(data: any, {$2}: any = {})')
+                .replace(/\b((?:wrapper\d+\.)?validate\d*)\.errors\b/g, '($1 as any).errors')
+                .replace(/let vErrors = null;/g, 'let vErrors: any = null;')
+                .replace(/let errors = 0;/g, 'let errors: number = 0;')
+                .replace(/const (_errs\d+) = errors;/g, 'const $1: number = errors;');
+        }
+
+        return { schemas: null, code };
+    }
+
+    // Partials of a directory or an object override the bundled ones of the same name, others are added
+    async _loadPartials(overrides) {
+        const partials = {};
+
+        for (const directory of [Path.join(__dirname, 'templates'), ...(typeof overrides == 'string' ? [Path.resolve(overrides)] : [])]) {
+            for (const file of await fs.readdir(directory)) {
+                if (Path.extname(file) == '.mustache') partials[Path.basename(file, '.mustache')] = (await fs.readFile(Path.join(directory, file), 'utf8')).toString();
+            }
+        }
+
+        if (overrides && typeof overrides == 'object') {
+            for (const name in overrides) {
+                if (typeof overrides[name] != 'string') throw new Error(`Partial "${name}" must be a template string`);
+                partials[name] = overrides[name];
+            }
+        }
+
+        return partials;
+    }
+
+    _render(template, view, partials) {
+        const code = this._removeDoubleEmptyLines(Mustache.render(template, view, partials));
+
+        return beautify(code, { indent_size: 4, space_in_empty_paren: true });
+    }
+
+    // Group operations by their first tag
+    _groupByTag(paths) {
+        const tags = [];
+
+        for (const path of paths) {
+            let tag = tags.find(tag => tag.tag == path.tag);
+
+            if (!tag) {
+                const namespace = typeName(path.tag).replace(/^_?./, c => c.toLowerCase());
+                tag = { tag: path.tag, namespace, className: `${typeName(path.tag)}Api`, fileName: namespace, paths: [], types: [] };
+                tags.push(tag);
+            }
+
+            tag.paths.push(path);
+
+            for (const type of [path.types.params, path.types.query, path.types.headers, path.types.cookies, path.types.body, path.types.response]) {
+                if (/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(type) && type != 'any' && !tag.types.includes(type)) tag.types.push(type);
+            }
+        }
+
+        return tags;
+    }
+
+    async _exportSplit(directory, view, partials, options) {
+        const { ts, target } = options;
+        const ext = ts ? '.ts' : '.js';
+        const { tags } = view;
+
+        const runtimeExports = ['Runtime', 'ApiError', 'ResponseValidationError', 'ValidationError', 'convertUrl', 'convertHeaders', 'decodeResponse'];
+        if (view.hasServers) runtimeExports.push('resolveServer');
+        if (view.multipart) runtimeExports.push('multipartBody', 'multipartValues');
+        if (view.fetch && ts) runtimeExports.push('RequestOptions', 'ApiResponse');
+        if (view.paginated) runtimeExports.push('paginate');
+        if (view.paginated && ts) runtimeExports.push('Paginated');
+        if (view.hasDeprecated) runtimeExports.push('warnDeprecated');
+
+        const files = {};
+
+        files[`runtime${ext}`] = this._render(partials['split-runtime'], { ...view, runtimeExports: runtimeExports.join(', ') }, partials);
+
+        if (ts) files['types.ts'] = this._render(partials['types'], view, partials);
+
+        for (const tag of tags) {
+            files[`${tag.fileName}${ext}`] = this._render(partials['split-tag'], {
+                ...view,
+                ...tag,
+                split: true,
+                runtimeExports: runtimeExports.join(', '),
+                typeImports: tag.types.join(', '),
+            }, partials);
+        }
+
+        files[`index${ext}`] = this._render(partials['split-index'], view, partials);
+
+        if (target == 'file') {
+            await fs.mkdir(directory, { recursive: true });
+            for (const file in files) await fs.writeFile(Path.join(directory, file), files[file]);
+        }
+
+        return {
+            dependencies: view.dependencies,
+            files,
+            code: files[`index${ext}`],
+        };
+    }
 }
 
 if (require.main === module) {
@@ -392,10 +1375,12 @@ if (require.main === module) {
     (async () => {
         try {
             const argv = require('minimist')(process.argv.slice(2), {
-                string: ["input", "output", "target"],
-                boolean: ["ts", "es", "validation", "silent", "help", "version"],
+                string: ["config", "input", "new", "output", "target", "server", "server-variable", "port", "param", "query", "header", "cookie", "body", "credential", "base-url", "format", "runtime", "include", "exclude", "deprecated", "template", "partials", "class-name", "view"],
+                boolean: ["ts", "es", "validation", "standalone", "silent", "split", "mock", "recorder", "check", "watch", "help", "version"],
                 alias: {
+                    config: "c",
                     input: "i",
+                    new: "n",
                     verbose: "v",
                     output: "o",
                     validation: "v",
@@ -415,14 +1400,52 @@ if (require.main === module) {
                 const message = [
                     chalk.blue.bold(`Swagger Client Builder - v${version}\n`),
                     "Usage: swagger-client-builder -i <input> -o <output> [options]",
+                    "       swagger-client-builder [-c <config>] [--check | --watch]",
+                    "       swagger-client-builder mock -i <input> [--port <port>]",
+                    "       swagger-client-builder call -i <input> <operation> [--param name=value] [--query name=value] [--body @file.json]",
+                    "       swagger-client-builder list -i <input>",
+                    "       swagger-client-builder diff -i <old> -n <new> [--format json]\n",
+                    "Commands:\n",
+                    "  mock\t\t\tStart a local HTTP server answering from the document examples and schemas",
+                    "  call\t\t\tValidate the arguments, send a request and print the response",
+                    "  list\t\t\tList the operations with their method, path, summary and required parameters",
+                    "  diff\t\t\tCompare two versions of a document, exits with code 1 on breaking changes\n",
+                    `  (no command)\t\tExport every spec of the config file (${configFiles.join(' or ')}) when there's no input\n`,
                     "Options:\n",
+                    "  -c, --config\t\tConfig file path (default: the config file of the current directory)",
+                    "  --check\t\tExit with code 1 if the exported files of the config are missing or outdated",
+                    "  --watch\t\tExport the specs of the config again when their documents or the config change",
                     `  -i, --input\t\tInput swagger file path or URL (${swaggerExtensions.join(' or ')})`,
-                    `  -o, --output\t\tOutput file path (${supportedExtensions.join(' or ')})`,
+                    "  -n, --new\t\tNew version of the input swagger file path or URL (diff)",
+                    `  -o, --output\t\tOutput file path (${supportedExtensions.join(' or ')}), or directory path with --split`,
                     "  -v, --validation\tUse jsonschema validation",
+                    "  --standalone\t\tEmbed precompiled validators instead of depending on Ajv (implies --validation)",
                     "  -e, --es\t\tUse ES module import instead of CommonJs",
                     "  -t, --ts\t\tUse TypeScript instead of JavaScript",
                     "  -s, --silent\t\tSilent export (just export without prompts but will show errors)",
                     "  -T, --target\t\tTarget output (\"file\" or \"bash\")",
+                    "  --split\t\tExport a directory with a module per tag and a namespaced client",
+                    "  --mock\t\tEmbed generated responses for the \"mock\" client option",
+                    "  --recorder\t\tEmbed the cassette recorder for the \"recorder\" client option",
+                    "  --runtime\t\tHTTP runtime of the exported client (\"axios\" or \"fetch\", default axios)",
+                    "  --include\t\tOnly keep the operations matching tag:<tag>, path:<glob>, operation:<name> or method:<method>, can be repeated",
+                    "  --exclude\t\tLeave out the operations matching tag:<tag>, path:<glob>, operation:<name> or method:<method>, can be repeated",
+                    "  --deprecated\t\tDeprecated operations, \"warn\" (default) warns once when they're called and \"omit\" leaves them out",
+                    "  --template\t\tTemplate file path, instead of the bundled template",
+                    "  --partials\t\tDirectory of .mustache partials overriding the bundled ones",
+                    "  --class-name\t\tName of the exported client class (default Client)",
+                    "  --view\t\tJSON file of extra data for the templates",
+                    "  --port\t\tMock server port (default 4010)",
+                    "  --param\t\tPath parameter as name=value, can be repeated (call)",
+                    "  --query\t\tQuery parameter as name=value, can be repeated (call)",
+                    "  --header\t\tHeader parameter as name=value, can be repeated (call)",
+                    "  --cookie\t\tCookie parameter as name=value, can be repeated (call)",
+                    "  --body\t\tRequest body as JSON, text or @file (call)",
+                    "  --credential\t\tSecurity scheme credential as name=value, JSON values are parsed, can be repeated (call)",
+                    "  --base-url\t\tBase URL of the requests (call)",
+                    "  --format\t\tOutput format (\"json\", \"yaml\" or \"table\", default json for call and table for list, \"text\" or \"json\" for diff)",
+                    "  --server\t\tDefault server index or description (OpenAPI v3)",
+                    "  --server-variable\tDefault server variable value as name=value, can be repeated (OpenAPI v3)",
                     "  -V, --version\t\tShow version",
                 ]
                 console.log(message.join("\n"));
@@ -430,18 +1453,272 @@ if (require.main === module) {
             } else if (argv.V || argv.version) {
                 console.log(version);
                 process.exit(0);
+            } else if (argv._[0] == 'mock') {
+                const input = argv.i || argv.input;
+                const port = Number(argv.port || 4010);
+
+                if (!isValidPath(input) && !validUrl.isUri(input)) throw new Error("Input must be a valid path or url");
+                if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error(`Port must be a number between 0 and 65535, got "${argv.port}"`);
+
+                const serverVariables = {};
+                for (const variable of [].concat(argv['server-variable'] || [])) {
+                    const index = variable.indexOf('=');
+                    if (index < 1) throw new Error(`Server variable must be name=value, got "${variable}"`);
+                    serverVariables[variable.slice(0, index)] = variable.slice(index + 1);
+                }
+
+                const Client = new SwaggerClientBuilder(input, { server: argv.server || undefined, serverVariables });
+
+                await Client.build();
+
+                const server = Client.mockServer();
+
+                // A port in use or not allowed is reported, not thrown as an unhandled error event
+                server.on('error', (error) => {
+                    console.error(chalk.bold.red(`Mock server can't listen on port ${port}: ${error.code == 'EADDRINUSE' ? 'the port is in use' : error.message}`));
+                    process.exit(1);
+                });
+
+                server.listen(port, () => {
+                    console.log(chalk.bold.green(`Mock server listening on http://localhost:${server.address().port}`));
+                });
+            } else if (argv._[0] == 'list') {
+                const input = argv.i || argv.input;
+                if (!isValidPath(input) && !validUrl.isUri(input)) throw new Error("Input must be a valid path or url");
+
+                const Client = new SwaggerClientBuilder(input, {
+                    include: parseFilter(argv.include, 'Include'),
+                    exclude: parseFilter(argv.exclude, 'Exclude'),
+                    deprecated: argv.deprecated || undefined,
+                });
+
+                await Client.build();
+
+                console.log(formatOutput(Client._operationList(), argv.format || 'table'));
+            } else if (argv._[0] == 'diff') {
+                const input = argv.i || argv.input, next = argv.n || argv.new;
+                const format = argv.format || 'text';
+
+                if (!isValidPath(input) && !validUrl.isUri(input)) throw new Error("Input must be a valid path or url");
+                if (!isValidPath(next) && !validUrl.isUri(next)) throw new Error("New input must be a valid path or url");
+                if (!['text', 'json'].includes(format)) throw new Error(`Diff format must be text or json, got "${format}"`);
+
+                const Client = new SwaggerClientBuilder(input);
+                const report = await Client.diff(next);
+
+                console.log(format == 'json' ? JSON.stringify(report, null, 2) : formatDiff(report));
+
+                // Gate pipelines on breaking changes
+                if (report.breaking) process.exitCode = 1;
+            } else if (argv._[0] == 'call') {
+                const input = argv.i || argv.input;
+                const operationName = argv._[1];
+                const format = argv.format || 'json';
+
+                if (!isValidPath(input) && !validUrl.isUri(input)) throw new Error("Input must be a valid path or url");
+                if (!operationName) throw new Error("Operation is required, run the list command to see them");
+
+                // Checked before the request is sent, it may not be idempotent
+                if (!outputFormats.includes(format)) throw new Error(`Output format must be json, yaml or table, got "${format}"`);
+
+                // name=value pairs, repeated names are arrays
+                const pairs = (values, label, parse) => {
+                    const result = {};
+
+                    for (const pair of [].concat(values || [])) {
+                        const index = pair.indexOf('=');
+                        if (index < 1) throw new Error(`${label} must be name=value, got "${pair}"`);
+
+                        const name = pair.slice(0, index), value = parse ? parse(pair.slice(index + 1)) : pair.slice(index + 1);
+                        result[name] = name in result ? [].concat(result[name], value) : value;
+                    }
+
+                    return result;
+                };
+
+                const json = (value) => {
+                    try {
+                        return JSON.parse(value);
+                    } catch (error) {
+                        return value;
+                    }
+                };
+
+                // Body from a file (@path) or the argument itself, JSON is parsed
+                let body;
+                if (argv.body !== undefined) {
+                    const raw = argv.body.startsWith('@') ? await fs.readFile(Path.resolve(argv.body.slice(1)), 'utf8') : argv.body;
+                    body = json(raw);
+                }
+
+                const Client = new SwaggerClientBuilder(input, {
+                    server: argv.server || undefined,
+                    serverVariables: pairs(argv['server-variable'], 'Server variable'),
+                    credentials: pairs(argv.credential, 'Credential', json),
+                    ...(argv['base-url'] ? { baseURL: argv['base-url'] } : {}),
+                });
+
+                await Client.build();
+
+                const args = Client._coerceArguments(operationName, {
+                    params: pairs(argv.param, 'Param'),
+                    query: pairs(argv.query, 'Query parameter'),
+                    headers: pairs(argv.header, 'Header'),
+                    cookies: pairs(argv.cookie, 'Cookie'),
+                    body,
+                });
+
+                try {
+                    const response = await Client[operationName](args);
+
+                    if (!argv.s && !argv.silent) console.error(chalk.bold.green(`${response.status} ${response.statusText || ''}`.trim()));
+
+                    if (Buffer.isBuffer(response.data)) {
+                        process.stdout.write(response.data);
+                    } else if (typeof response.data?.pipe == 'function') {
+                        response.data.pipe(process.stdout);
+                    } else if (response.data?.[Symbol.asyncIterator]) {
+                        // Newline delimited JSON is printed as it's received
+                        for await (const item of response.data) console.log(format == 'json' ? JSON.stringify(item) : formatOutput(item, format));
+                    } else {
+                        console.log(typeof response.data == 'string' && format == 'json' ? response.data : formatOutput(response.data, format));
+                    }
+                } catch (error) {
+                    if (!(error instanceof ApiError)) throw error;
+
+                    console.error(chalk.bold.red(error.message));
+                    console.log(formatOutput(error.body, format));
+                    process.exitCode = 1;
+                }
+            } else if (!(argv.i || argv.input) && argv._.length == 0) {
+                const file = argv.config ? Path.resolve(argv.config) : findConfig(process.cwd());
+                if (!file) throw new Error(`Input is required, or a ${configFiles.join(' or ')} file in the current directory`);
+
+                const specs = loadConfig(file);
+                const silent = argv.s || argv.silent || false;
+
+                // Export a spec, or only render it to compare it to the files on disk
+                const generate = async (spec) => {
+                    const Client = new SwaggerClientBuilder(spec.input, { include: spec.include, exclude: spec.exclude, deprecated: spec.deprecated, pagination: spec.pagination });
+
+                    await Client.build();
+
+                    const { ts, es, validation, standalone, split, mock, recorder, runtime, server, serverVariables, baseURL, template, partials, className, view } = spec;
+                    if (!argv.check) await fs.mkdir(Path.dirname(spec.output), { recursive: true });
+
+                    const exported = await Client.export(spec.output, { ts, es, validation, standalone, split, mock, recorder, runtime, server, serverVariables, baseURL, template, partials, className, view, target: argv.check ? 'bash' : 'file' });
+
+                    return { Client, exported };
+                };
+
+                if (argv.check) {
+                    let stale = 0;
+
+                    for (const spec of specs) {
+                        const files = await staleFiles(spec, (await generate(spec)).exported);
+                        for (const path of files) console.error(chalk.bold.red(`${spec.name}: ${path} is outdated`));
+                        stale += files.length;
+                    }
+
+                    if (stale > 0) process.exitCode = 1;
+                    else if (!silent) console.log(chalk.bold.green(`${specs.length} exported client${specs.length == 1 ? ' is' : 's are'} up to date`));
+
+                    return;
+                }
+
+                const watchers = new Map();
+
+                // Watch the local files of a spec, they are listed again after every export as references may change
+                const watch = (spec, files) => {
+                    for (const watcher of watchers.get(spec) || []) watcher.close();
+
+                    let timer = null;
+                    const changed = () => {
+                        clearTimeout(timer);
+                        timer = setTimeout(async () => watch(spec, await run(spec) || files), 100);
+                    };
+
+                    watchers.set(spec, files.filter(path => Fs.existsSync(path)).map(path => Fs.watch(path, changed)));
+                };
+
+                // Export a spec, returns the files to watch or null if it failed
+                const run = async (spec) => {
+                    try {
+                        const { Client } = await generate(spec);
+                        if (!silent) console.log(chalk.bold.green(`${spec.name} exported to ${spec.output}`));
+
+                        return Client.documentFiles;
+                    } catch (error) {
+                        console.error(chalk.bold.red(`${spec.name}: ${error.message}`));
+                        process.exitCode = 1;
+
+                        return null;
+                    }
+                };
+
+                const runAll = async (specs) => {
+                    for (const spec of specs) {
+                        const files = await run(spec);
+                        if (argv.watch) watch(spec, files || (validUrl.isUri(spec.input) ? [] : [spec.input]));
+                    }
+                };
+
+                await runAll(specs);
+
+                // Specs are loaded again when the config changes, and every spec is exported again
+                if (argv.watch) {
+                    let timer = null;
+
+                    Fs.watch(file, () => {
+                        clearTimeout(timer);
+                        timer = setTimeout(async () => {
+                            for (const list of watchers.values()) for (const watcher of list) watcher.close();
+                            watchers.clear();
+
+                            try {
+                                await runAll(loadConfig(file));
+                            } catch (error) {
+                                console.error(chalk.bold.red(error.message));
+                                process.exitCode = 1;
+                            }
+                        }, 100);
+                    });
+                }
+
+                if (argv.watch && !silent) console.log(chalk.bold(`Watching the documents of ${specs.length} spec${specs.length == 1 ? '' : 's'}, press Ctrl+C to stop`));
             } else {
                 const args = {
                     input: argv.i || argv.input,
                     output: argv.o || argv.output,
                     validation: argv.v || argv.validation || false,
+                    standalone: argv.standalone || false,
                     es: argv.e || argv.es || false,
                     ts: argv.t || argv.ts || false,
                     silent: argv.s || argv.silent || false,
                     target: argv.T || argv.target || 'file',
                     version: argv.V || argv.version || false,
+                    split: argv.split || false,
+                    mock: argv.mock || false,
+                    recorder: argv.recorder || false,
+                    runtime: argv.runtime || 'axios',
+                    server: argv.server || null,
+                    serverVariables: {},
+                    include: parseFilter(argv.include, 'Include'),
+                    exclude: parseFilter(argv.exclude, 'Exclude'),
+                    deprecated: argv.deprecated || undefined,
+                    template: argv.template || null,
+                    partials: argv.partials || null,
+                    className: argv['class-name'] || 'Client',
+                    view: argv.view ? JSON.parse(await fs.readFile(Path.resolve(argv.view), 'utf8')) : {},
                 };
 
+                // Parse server variables (name=value)
+                for (const variable of [].concat(argv['server-variable'] || [])) {
+                    const index = variable.indexOf('=');
+                    if (index < 1) throw new Error(`Server variable must be name=value, got "${variable}"`);
+                    args.serverVariables[variable.slice(0, index)] = variable.slice(index + 1);
+                }
+
                 let output, ext;
                 const ts = args.ts || false;
 
@@ -451,7 +1728,30 @@ if (require.main === module) {
                 // Check if input file is a swagger file
                 if (!swaggerExtensions.includes(Path.extname(args.input))) throw new Error(`Input file extension must be ${swaggerExtensions.join(' or ')} ')}`);
 
-                if (args.target == 'file') {
+                if (args.split && args.target != 'file') throw new Error("Split export requires target file");
+
+                if (args.target == 'file' && args.split) {
+                    if (!args.output) throw new Error("Output directory is required if split is enabled");
+
+                    output = Path.resolve(args.output);
+
+                    // Check if output is a directory
+                    if (supportedExtensions.includes(Path.extname(output))) throw new Error("Output must be a directory if split is enabled");
+                    if (Fs.existsSync(output) && !Fs.statSync(output).isDirectory()) throw new Error(`Output "${output}" is not a directory`);
+
+                    // Check if output directory is a valid path
+                    if (!isValidPath(args.output)) throw new Error("Output must be a valid path");
+
+                    // Check if output directory already exists
+                    if (Fs.existsSync(output) && !args.silent) {
+                        const ok = await yesno({
+                            question: chalk.bold(`Directory "${output}" already exists. Do you want to overwrite its files? (y/n)`),
+                            defaultValue: false,
+                        })
+
+                        if (!ok) process.exit(0);
+                    }
+                } else if (args.target == 'file') {
                     if (!args.output) throw new Error("Output file is required if target is file");
 
                     output = Path.resolve(args.output);
@@ -483,11 +1783,11 @@ if (require.main === module) {
 
                 const validation = args.validation || false, es = args.es || false;
 
-                const Client = new SwaggerClientBuilder(args.input);
+                const Client = new SwaggerClientBuilder(args.input, { include: args.include, exclude: args.exclude, deprecated: args.deprecated });
 
                 await Client.build();
 
-                const { code } = await Client.export(output, { validation, es, ts, target: args.target });
+                const { code } = await Client.export(output, { validation, standalone: args.standalone, es, ts, target: args.target, split: args.split, mock: args.mock, recorder: args.recorder, runtime: args.runtime, server: args.server, serverVariables: args.serverVariables, template: args.template, partials: args.partials, className: args.className, view: args.view });
 
                 if (args.target == 'bash') {
                     console.log(code);
@@ -497,8 +1797,14 @@ if (require.main === module) {
             }
         } catch (error) {
             console.error(chalk.bold.red(error.message));
+            process.exitCode = 1;
         }
     })();
 }
 
+SwaggerClientBuilder.ApiError = ApiError;
+SwaggerClientBuilder.RecordingNotFoundError = RecordingNotFoundError;
+SwaggerClientBuilder.ResponseValidationError = ResponseValidationError;
+SwaggerClientBuilder.ValidationError = ValidationError;
+
 module.exports = SwaggerClientBuilder;
\ No newline at end of file
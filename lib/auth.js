@@ -0,0 +1,236 @@
+const axios = require("axios");
+
+// Refresh OAuth2 tokens a bit before they actually expire
+const EXPIRY_MARGIN = 30 * 1000;
+
+class Authenticator {
+    /**
+     * Create a new Authenticator
+     * @param {Object} schemes Security schemes (components.securitySchemes or securityDefinitions)
+     * @param {Object} credentials Credentials keyed by security scheme name
+     * @param {Object} options
+     * @param {string} options.baseURL Base URL used to resolve relative token URLs
+     * @param {Function} options.http Axios instance used for token requests
+     */
+    constructor(schemes, credentials, options) {
+        this.schemes = schemes || {};
+        this.credentials = credentials || {};
+        this.baseURL = options?.baseURL || null;
+        this.http = options?.http || axios;
+        this.tokens = {};
+    }
+
+    /**
+     * Pick the first security requirement that all credentials are available for
+     * @param {Object[]} requirements Operation security requirements
+     * @returns {string[]} Security scheme names
+     */
+    select(requirements) {
+        if (!Array.isArray(requirements)) return [];
+
+        for (const requirement of requirements) {
+            const names = Object.keys(requirement || {});
+            if (names.every(name => this.schemes[name] && this.credentials[name] !== undefined)) return names;
+        }
+
+        return [];
+    }
+
+    /**
+     * Resolve the headers, query and cookie parameters for security requirements
+     * @param {Object[]} requirements Operation security requirements
+     * @returns {Promise<Object>} Authorization parameters ({ headers, query, cookies })
+     */
+    async authorize(requirements) {
+        const result = { headers: {}, query: {}, cookies: {} };
+
+        for (const name of this.select(requirements)) {
+            const scheme = this.schemes[name];
+            const credential = this.credentials[name];
+            const type = (scheme.type || '').toLowerCase();
+
+            if (type == 'apikey') {
+                const value = await this._resolve(credential);
+                const at = scheme.in == 'query' ? 'query' : scheme.in == 'cookie' ? 'cookies' : 'headers';
+                result[at][scheme.name] = value;
+            } else if (type == 'basic' || (type == 'http' && (scheme.scheme || '').toLowerCase() == 'basic')) {
+                const { username = '', password = '' } = await this._resolve(credential) || {};
+                result.headers["Authorization"] = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+            } else if (type == 'http') {
+                const value = await this._resolve(credential);
+                const prefix = (scheme.scheme || '').toLowerCase() == 'bearer' ? 'Bearer' : scheme.scheme;
+                result.headers["Authorization"] = `${prefix} ${value}`;
+            } else if (type == 'oauth2') {
+                result.headers["Authorization"] = `Bearer ${await this._accessToken(name)}`;
+            } else if (type == 'openidconnect') {
+                result.headers["Authorization"] = `Bearer ${await this._resolve(credential)}`;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Apply authorization to an axios request config with a "security" property
+     * @param {Object} config Axios request config
+     * @returns {Promise<Object>} Axios request config
+     */
+    async apply(config) {
+        if (!config?.security) return config;
+
+        const { headers, query, cookies } = await this.authorize(config.security);
+
+        // Keep the original cookie so a retried request doesn't send the credentials twice
+        if (!config.authorization) config.authorization = { cookie: config.headers?.["Cookie"] || null };
+
+        if (!config.headers) config.headers = {};
+        for (const key in headers) config.headers[key] = headers[key];
+
+        const pairs = Object.keys(cookies).map(key => `${key}=${encodeURIComponent(cookies[key])}`);
+        if (config.authorization.cookie) pairs.unshift(config.authorization.cookie);
+        if (pairs.length > 0) config.headers["Cookie"] = pairs.join('; ');
+
+        if (Object.keys(query).length > 0) config.params = { ...query, ...config.params };
+
+        return config;
+    }
+
+    /**
+     * Authorize every request of an axios instance and retry once with a new OAuth2 token on 401
+     * @param {Function} instance Axios instance
+     * @returns {Function} Axios instance
+     */
+    intercept(instance) {
+        instance.interceptors.request.use(config => this.apply(config));
+
+        instance.interceptors.response.use(response => response, async error => {
+            const { config, response } = error;
+
+            if (response?.status == 401 && config?.security && !config.authorization?.retried && this.invalidate(config.security)) {
+                config.authorization.retried = true;
+                return instance(config);
+            }
+
+            throw error;
+        });
+
+        return instance;
+    }
+
+    /**
+     * Forget cached OAuth2 tokens so they will be requested again
+     * @param {Object[]} requirements Operation security requirements
+     * @returns {boolean} Whether any token was dropped
+     */
+    invalidate(requirements) {
+        let invalidated = false;
+
+        for (const name of this.select(requirements)) {
+            if (this.tokens[name]?.accessToken) {
+                this.tokens[name] = { ...this.tokens[name], accessToken: null, expiresAt: 0 };
+                invalidated = true;
+            }
+        }
+
+        return invalidated;
+    }
+
+    async _resolve(credential) {
+        return typeof credential == 'function' ? await credential() : credential;
+    }
+
+    _flow(scheme) {
+        // Swagger v2
+        if (scheme.flow) return { tokenUrl: scheme.tokenUrl, scopes: scheme.scopes, grant: scheme.flow == 'application' ? 'client_credentials' : null };
+
+        // OpenAPI v3
+        const flows = scheme.flows || {};
+        if (flows.clientCredentials) return { ...flows.clientCredentials, grant: 'client_credentials' };
+
+        const flow = flows.authorizationCode || flows.password || flows.implicit || {};
+
+        return { ...flow, grant: null };
+    }
+
+    async _accessToken(name) {
+        const credential = await this._resolve(this.credentials[name]);
+
+        // Static access token
+        if (typeof credential == 'string') return credential;
+
+        const cached = this.tokens[name] || {};
+        if (cached.accessToken && cached.expiresAt > Date.now() + EXPIRY_MARGIN) return cached.accessToken;
+
+        // Share a single token request between concurrent calls
+        if (!cached.pending) {
+            const pending = this._requestToken(name, credential, cached).finally(() => {
+                if (this.tokens[name]) delete this.tokens[name].pending;
+            });
+            this.tokens[name] = { ...cached, pending };
+        }
+
+        return this.tokens[name].pending;
+    }
+
+    async _requestToken(name, credential, cached) {
+        const flow = this._flow(this.schemes[name]);
+
+        // A refresh token the server rejected isn't sent again, not even the one of the credential
+        const refreshToken = cached.refreshToken || (cached.refreshRejected ? null : credential.refreshToken);
+
+        // Use a given access token until it expires, if there's no way to refresh it
+        if (credential.accessToken && !cached.expiresAt && !refreshToken && !flow.grant) return credential.accessToken;
+
+        if (refreshToken) {
+            try {
+                return await this._tokenRequest(name, credential, flow, { grant_type: 'refresh_token', refresh_token: refreshToken }, refreshToken);
+            } catch (error) {
+                if (!error?.response) throw error;
+
+                // Expired or revoked, the flow's own grant gets a new token
+                this.tokens[name] = { ...this.tokens[name], refreshToken: null, refreshRejected: true };
+                if (!flow.grant) throw error;
+            }
+        }
+
+        if (!flow.grant) throw new Error(`Security scheme "${name}" requires an access token or a refresh token`);
+
+        return this._tokenRequest(name, credential, flow, { grant_type: flow.grant }, null);
+    }
+
+    async _tokenRequest(name, credential, flow, grant, refreshToken) {
+        const data = new URLSearchParams(grant);
+
+        if (credential.clientId) data.append('client_id', credential.clientId);
+        if (credential.clientSecret) data.append('client_secret', credential.clientSecret);
+
+        const scopes = credential.scopes || [];
+        if (scopes.length > 0) data.append('scope', scopes.join(' '));
+
+        const tokenUrl = credential.tokenUrl || (refreshToken && flow.refreshUrl) || flow.tokenUrl;
+        if (!tokenUrl) throw new Error(`Security scheme "${name}" has no token URL`);
+
+        const response = await this.http({
+            method: 'post',
+            url: this.baseURL ? new URL(tokenUrl, this.baseURL).toString() : tokenUrl,
+            data: data.toString(),
+            headers: { 'content-type': 'application/x-www-form-urlencoded' },
+        });
+
+        const { access_token, refresh_token, expires_in } = response.data || {};
+        if (!access_token) throw new Error(`Token response for security scheme "${name}" has no access_token`);
+
+        this.tokens[name] = {
+            accessToken: access_token,
+            refreshToken: refresh_token || refreshToken || null,
+            expiresAt: expires_in ? Date.now() + expires_in * 1000 : Infinity,
+            ...(this.tokens[name]?.refreshRejected ? { refreshRejected: true } : {}),
+        };
+
+        return access_token;
+    }
+}
+
+module.exports = {
+    Authenticator,
+};
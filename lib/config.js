@@ -0,0 +1,110 @@
+const Fs = require('fs');
+const fs = require('fs').promises;
+const Path = require('path');
+
+const configFiles = ['swagger-client-builder.config.js', 'swagger-client-builder.config.json'];
+
+// Options of a spec, top level options are the defaults of every spec
+const specOptions = ['name', 'input', 'output', 'ts', 'es', 'validation', 'standalone', 'split', 'mock', 'recorder', 'runtime', 'server', 'serverVariables', 'baseURL', 'include', 'exclude', 'deprecated', 'pagination', 'template', 'partials', 'className', 'view'];
+
+const isURL = (value) => /^https?:\/\//.test(value);
+
+/**
+ * Find the config file of a directory
+ * @param {string} directory Directory
+ * @returns {string|null} Config file path
+ */
+const findConfig = (directory) => configFiles.map(file => Path.join(directory, file)).find(file => Fs.existsSync(file)) || null;
+
+const normalizeSpec = (spec, directory, index) => {
+    const label = `Spec ${spec?.name || spec?.input || index + 1}`;
+
+    for (const key in spec) {
+        if (!specOptions.includes(key)) throw new Error(`${label}: unknown option "${key}", expected ${specOptions.join(', ')}`);
+    }
+
+    if (typeof spec.input != 'string' || !spec.input) throw new Error(`${label}: input is required`);
+    if (typeof spec.output != 'string' || !spec.output) throw new Error(`${label}: output is required`);
+
+    const ts = Boolean(spec.ts), split = Boolean(spec.split);
+    const ext = Path.extname(spec.output);
+
+    if (split && ['.js', '.ts'].includes(ext)) throw new Error(`${label}: output must be a directory if split is enabled`);
+    if (!split && ext != (ts ? '.ts' : '.js')) throw new Error(`${label}: output file extension must be ${ts ? '.ts' : '.js'}`);
+
+    // Paths are relative to the config file
+    return {
+        name: spec.name || spec.input,
+        input: isURL(spec.input) ? spec.input : Path.resolve(directory, spec.input),
+        output: Path.resolve(directory, spec.output),
+        ts,
+        es: Boolean(spec.es),
+        validation: Boolean(spec.validation),
+        standalone: Boolean(spec.standalone),
+        split,
+        mock: Boolean(spec.mock),
+        recorder: Boolean(spec.recorder),
+        runtime: spec.runtime || 'axios',
+        server: spec.server ?? null,
+        serverVariables: spec.serverVariables || {},
+        baseURL: spec.baseURL || null,
+        include: spec.include,
+        exclude: spec.exclude,
+        deprecated: spec.deprecated,
+        pagination: spec.pagination,
+        template: spec.template ? Path.resolve(directory, spec.template) : null,
+        partials: typeof spec.partials == 'string' ? Path.resolve(directory, spec.partials) : spec.partials || null,
+        className: spec.className || 'Client',
+        view: spec.view || {},
+    };
+};
+
+/**
+ * Load a config file listing the specs to export
+ * @param {string} file Config file path (.js or .json)
+ * @returns {Object[]} Specs ({ name, input, output, ...export options, include, exclude, deprecated, pagination, template, partials, className, view }) with resolved paths
+ */
+const loadConfig = (file) => {
+    const path = Path.resolve(file);
+    let config;
+
+    if (Path.extname(path) == '.json') {
+        config = JSON.parse(Fs.readFileSync(path, 'utf8'));
+    } else {
+        // Reloaded, in case it changed
+        delete require.cache[require.resolve(path)];
+        config = require(path);
+    }
+
+    const { specs, ...defaults } = Array.isArray(config) ? { specs: config } : config || {};
+    if (!Array.isArray(specs) || specs.length == 0) throw new Error(`Config "${path}" must list specs`);
+
+    return specs.map((spec, index) => normalizeSpec({ ...defaults, ...spec }, Path.dirname(path), index));
+};
+
+/**
+ * List the files of an export that differ from the files on disk
+ * @param {Object} spec Spec (see loadConfig)
+ * @param {Object} exported Export result ({ code } or { files } if split)
+ * @returns {Promise<string[]>} Missing or outdated file paths
+ */
+const staleFiles = async (spec, exported) => {
+    const files = spec.split ? exported.files : { [Path.basename(spec.output)]: exported.code };
+    const directory = spec.split ? spec.output : Path.dirname(spec.output);
+    const stale = [];
+
+    for (const file in files) {
+        const path = Path.join(directory, file);
+        const current = await fs.readFile(path, 'utf8').catch(() => null);
+        if (current !== files[file]) stale.push(path);
+    }
+
+    return stale;
+};
+
+module.exports = {
+    configFiles,
+    findConfig,
+    loadConfig,
+    staleFiles,
+};
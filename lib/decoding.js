@@ -0,0 +1,150 @@
+const xml2js = require('xml2js');
+
+// Axios responseType used to receive each format, JSON is left to axios
+const responseTypes = {
+    xml: 'text',
+    text: 'text',
+    binary: 'arraybuffer',
+    ndjson: 'stream',
+};
+
+/**
+ * Get how a content type is decoded
+ * @param {string} contentType Content type, parameters are ignored
+ * @param {Object} schema Schema of the content, "format: binary" is binary whatever the content type
+ * @returns {string|null} "json", "ndjson", "xml", "text", "binary" or null if it's unknown
+ */
+const contentFormat = (contentType, schema) => {
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+
+    if (schema?.format == 'binary' || schema?.type == 'file') return 'binary';
+    if (/^application\/(x-)?(ndjson|jsonl|jsonlines)$/.test(type)) return 'ndjson';
+    if (/[/+]json$/.test(type)) return 'json';
+    if (/[/+]xml$/.test(type)) return 'xml';
+    if (type.startsWith('text/')) return 'text';
+    if (type == 'application/octet-stream' || /^(image|audio|video)\//.test(type)) return 'binary';
+
+    return null;
+};
+
+/**
+ * Get the format of an operation's success response from its declared content types, JSON wins when there's a choice
+ * @param {Object} operation OpenAPI operation
+ * @param {string[]} produces Swagger v2 document level content types
+ * @returns {string} Format (see contentFormat), "json" if nothing else is declared
+ */
+const responseFormat = (operation, produces) => {
+    const responses = operation?.responses || {};
+    const status = Object.keys(responses).find(code => /^2/.test(code)) || (responses.default ? 'default' : null);
+    const response = responses[status];
+
+    // Swagger v2 has one schema for the content types the operation produces
+    const formats = response?.content
+        ? Object.keys(response.content).map(type => contentFormat(type, response.content[type]?.schema))
+        : (operation?.produces || produces || []).map(type => contentFormat(type, response?.schema));
+
+    if (formats.length == 0 || formats.includes('json')) return 'json';
+
+    return formats.find(Boolean) || 'json';
+};
+
+const isStream = (data) => data !== null && typeof data == 'object' && typeof data.pipe == 'function';
+
+const isBinary = (data) => Buffer.isBuffer(data) || data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+
+const readStream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+
+    return Buffer.concat(chunks);
+};
+
+/**
+ * Parse newline delimited JSON as it's received
+ * @param {*} data Stream, Buffer or string (arrays, e.g. mock responses, are iterated)
+ * @returns {AsyncGenerator<*>} Parsed lines
+ */
+async function* ndjson(data) {
+    if (!isStream(data) && !isBinary(data) && typeof data != 'string') {
+        yield* Array.isArray(data) ? data : [data];
+        return;
+    }
+
+    const decoder = new TextDecoder();
+    let buffered = '';
+
+    for await (const chunk of isStream(data) ? data : [data]) {
+        buffered += typeof chunk == 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+
+        for (const line of lines) if (line.trim()) yield JSON.parse(line);
+    }
+
+    buffered += decoder.decode();
+    if (buffered.trim()) yield JSON.parse(buffered);
+}
+
+/**
+ * Get the format a response is decoded with, its content-type header wins over the declared format
+ * @param {Object} response Axios response
+ * @param {string} format Declared format
+ * @returns {string} Format
+ */
+const decodedFormat = (response, format) => contentFormat(response?.headers?.['content-type']) || format || 'json';
+
+/**
+ * Decode a response body: XML is parsed, text is a string, binary a Buffer (or the stream axios returned)
+ * and newline delimited JSON an async iterator
+ * @param {Object} response Axios response, its data is replaced
+ * @param {string} format Declared format (see responseFormat)
+ * @returns {Promise<Object>} Response
+ */
+const decodeResponse = async (response, format) => {
+    if (!response) return response;
+
+    const decoded = decodedFormat(response, format);
+    let data = response.data;
+
+    if (decoded == 'ndjson') {
+        response.data = ndjson(data);
+        return response;
+    }
+
+    if (decoded == 'binary') {
+        if (isBinary(data)) response.data = Buffer.from(data);
+        return response;
+    }
+
+    // Everything else is decoded from text, data that isn't (e.g. mock responses) is already decoded
+    if (isStream(data)) data = await readStream(data);
+    if (isBinary(data)) data = Buffer.from(data).toString('utf8');
+    if (typeof data != 'string' || data == '') {
+        response.data = data;
+        return response;
+    }
+
+    if (decoded == 'xml') {
+        response.data = await xml2js.parseStringPromise(data, { explicitArray: false, explicitRoot: false });
+    } else if (decoded == 'json') {
+        try {
+            response.data = JSON.parse(data);
+        } catch (error) {
+            response.data = data;
+        }
+    } else {
+        response.data = data;
+    }
+
+    return response;
+};
+
+module.exports = {
+    contentFormat,
+    decodedFormat,
+    decodeResponse,
+    ndjson,
+    responseFormat,
+    responseTypes,
+};
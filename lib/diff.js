@@ -0,0 +1,279 @@
+const { resolveRef } = require('./refs');
+
+// Path parameter names don't matter to match operations, their parameters are compared instead
+const operationKey = (method, path) => `${method.toUpperCase()} ${path.replace(/{[^}]*}/g, '{}')}`;
+
+const types = (schema) => {
+    const result = schema?.type === undefined ? [] : [].concat(schema.type);
+    if (schema?.nullable) result.push('null');
+
+    return result;
+};
+
+// An integer is a number
+const covers = (list, type) => list.includes(type) || (type == 'integer' && list.includes('number'));
+
+const flatten = (schema, resolve) => {
+    schema = resolve(schema);
+    if (!Array.isArray(schema?.allOf)) return schema;
+
+    // allOf is compared as one schema
+    const merged = { ...schema, properties: { ...schema.properties }, required: [...(schema.required || [])] };
+    delete merged.allOf;
+
+    for (const part of schema.allOf) {
+        const flat = flatten(part, resolve) || {};
+        if (flat.type !== undefined && merged.type === undefined) merged.type = flat.type;
+        Object.assign(merged.properties, flat.properties);
+        merged.required.push(...(flat.required || []));
+        if (flat.enum && !merged.enum) merged.enum = flat.enum;
+        if (flat.items && !merged.items) merged.items = flat.items;
+    }
+
+    return merged;
+};
+
+class SchemaDiff {
+    /**
+     * Compare the schemas of two versions of a document
+     * @param {Object} before Old document
+     * @param {Object} after New document
+     * @param {Function} change Report a change (breaking, type, location, message)
+     */
+    constructor(before, after, change) {
+        this.resolveBefore = schema => resolveRef(before, schema);
+        this.resolveAfter = schema => resolveRef(after, schema);
+        this.change = change;
+        this.comparing = new Set();
+    }
+
+    /**
+     * Compare two schemas, requests break when they accept less and responses when they return more
+     * @param {Object} before Old schema
+     * @param {Object} after New schema
+     * @param {string} direction "request" or "response"
+     * @param {string} location Where the schema is
+     */
+    compare(before, after, direction, location) {
+        if (!before || !after) return;
+
+        // Recursive schemas stop where they reference themselves
+        const key = before.$ref && after.$ref ? `${before.$ref}>${after.$ref}` : null;
+        if (key && this.comparing.has(key)) return;
+        if (key) this.comparing.add(key);
+
+        try {
+            this._compare(before, after, direction, location);
+        } finally {
+            if (key) this.comparing.delete(key);
+        }
+    }
+
+    _compare(before, after, direction, location) {
+        before = flatten(before, this.resolveBefore);
+        after = flatten(after, this.resolveAfter);
+
+        const request = direction == 'request';
+
+        // Types
+        const oldTypes = types(before), newTypes = types(after);
+        if (oldTypes.length > 0 && newTypes.length > 0) {
+            const removed = oldTypes.filter(type => !covers(newTypes, type));
+            const added = newTypes.filter(type => !covers(oldTypes, type));
+
+            if (removed.length > 0 || added.length > 0) {
+                const breaking = request ? removed.length > 0 : added.length > 0;
+                this.change(breaking, 'type-changed', location, `type changed from ${oldTypes.join(' | ')} to ${newTypes.join(' | ')}`);
+            }
+        }
+
+        // Enums
+        if (before.enum || after.enum) {
+            const oldValues = (before.enum || []).map(value => JSON.stringify(value));
+            const newValues = (after.enum || []).map(value => JSON.stringify(value));
+            const removed = before.enum ? oldValues.filter(value => after.enum && !newValues.includes(value)) : newValues;
+            const added = after.enum ? newValues.filter(value => before.enum && !oldValues.includes(value)) : oldValues;
+
+            if (removed.length > 0) {
+                const message = before.enum ? `enum values removed: ${removed.join(', ')}` : `restricted to enum values ${removed.join(', ')}`;
+                this.change(request, 'enum-narrowed', location, message);
+            }
+
+            if (added.length > 0) {
+                const message = after.enum ? `enum values added: ${added.join(', ')}` : 'enum removed';
+                this.change(false, 'enum-widened', location, message);
+            }
+        }
+
+        // Properties
+        const oldProperties = before.properties || {}, newProperties = after.properties || {};
+        const oldRequired = before.required || [], newRequired = after.required || [];
+
+        for (const name in oldProperties) {
+            const at = `${location}.${name}`;
+
+            if (!(name in newProperties)) {
+                this.change(!request, 'property-removed', at, 'property removed');
+                continue;
+            }
+
+            if (!oldRequired.includes(name) && newRequired.includes(name)) this.change(request, 'property-required', at, 'property is now required');
+            if (oldRequired.includes(name) && !newRequired.includes(name)) this.change(!request, 'property-optional', at, 'property is now optional');
+
+            this.compare(oldProperties[name], newProperties[name], direction, at);
+        }
+
+        for (const name in newProperties) {
+            if (name in oldProperties) continue;
+
+            const required = newRequired.includes(name);
+            this.change(request && required, 'property-added', `${location}.${name}`, required ? 'required property added' : 'property added');
+        }
+
+        // Items and maps
+        if (before.items && after.items) this.compare(before.items, after.items, direction, `${location}[]`);
+
+        if (typeof before.additionalProperties == 'object' && typeof after.additionalProperties == 'object') {
+            this.compare(before.additionalProperties, after.additionalProperties, direction, `${location}[*]`);
+        }
+
+        // Alternatives
+        for (const keyword of ['oneOf', 'anyOf']) {
+            const oldAlternatives = before[keyword] || [], newAlternatives = after[keyword] || [];
+
+            if (oldAlternatives.length == newAlternatives.length) {
+                oldAlternatives.forEach((alternative, index) => this.compare(alternative, newAlternatives[index], direction, `${location}<${keyword}[${index}]>`));
+            } else if (oldAlternatives.length > 0 && newAlternatives.length > 0) {
+                const breaking = request ? newAlternatives.length < oldAlternatives.length : newAlternatives.length > oldAlternatives.length;
+                this.change(breaking, 'alternatives-changed', location, `${keyword} alternatives changed from ${oldAlternatives.length} to ${newAlternatives.length}`);
+            }
+        }
+    }
+}
+
+/**
+ * Compare two versions of a document
+ * @param {Object} before Old version ({ document, operations, schemas }, see SwaggerClientBuilder._describeOperations)
+ * @param {Object} after New version
+ * @returns {Object} Report ({ breaking, changes: [{ breaking, type, operation, location, message }] })
+ */
+const diffDocuments = (before, after) => {
+    const changes = [];
+    let operation = null;
+
+    const change = (breaking, type, location, message) => changes.push({ breaking: Boolean(breaking), type, operation, location, message });
+    const schemas = new SchemaDiff(before.document, after.document, change);
+
+    const oldOperations = {}, newOperations = {};
+    for (const item of before.operations) oldOperations[operationKey(item.method, item.path)] = item;
+    for (const item of after.operations) newOperations[operationKey(item.method, item.path)] = item;
+
+    for (const key in oldOperations) {
+        const old = oldOperations[key];
+        const next = newOperations[key];
+        operation = `${old.method.toUpperCase()} ${old.path} (${old.name})`;
+
+        if (!next) {
+            const moved = after.operations.find(item => item.name == old.name);
+            if (moved) change(true, 'operation-moved', null, `moved to ${moved.method.toUpperCase()} ${moved.path}`);
+            else change(true, 'operation-removed', null, 'operation removed');
+            continue;
+        }
+
+        if (old.name != next.name) change(true, 'operation-renamed', null, `renamed to ${next.name}`);
+
+        // Parameters
+        for (const id in old.parameters) {
+            const parameter = old.parameters[id];
+            const location = `${parameter.in} parameter "${parameter.name}"`;
+
+            if (!next.parameters[id]) {
+                change(false, 'parameter-removed', location, 'parameter removed');
+                continue;
+            }
+
+            if (!parameter.required && next.parameters[id].required) change(true, 'parameter-required', location, 'parameter is now required');
+            schemas.compare(parameter.schema, next.parameters[id].schema, 'request', location);
+        }
+
+        for (const id in next.parameters) {
+            if (old.parameters[id]) continue;
+
+            const { required, name, in: at } = next.parameters[id];
+            change(required, 'parameter-added', `${at} parameter "${name}"`, required ? 'required parameter added' : 'parameter added');
+        }
+
+        // Request body
+        if (!old.requestBody?.required && next.requestBody?.required) change(true, 'request-body-required', 'body', 'request body is now required');
+
+        for (const type in old.requestBody?.content || {}) {
+            const schema = next.requestBody?.content?.[type];
+            if (!schema) change(true, 'content-type-removed', `body ${type}`, 'request content type removed');
+            else schemas.compare(old.requestBody.content[type], schema, 'request', `body ${type}`);
+        }
+
+        // Responses
+        for (const status in old.responses) {
+            if (!next.responses[status]) {
+                change(/^2/.test(status), 'response-removed', `response ${status}`, 'response removed');
+                continue;
+            }
+
+            for (const type in old.responses[status]) {
+                const schema = next.responses[status][type];
+                if (!schema) change(/^2/.test(status), 'content-type-removed', `response ${status} ${type}`, 'response content type removed');
+                else schemas.compare(old.responses[status][type], schema, 'response', `response ${status} ${type}`);
+            }
+        }
+    }
+
+    for (const key in newOperations) {
+        if (oldOperations[key]) continue;
+
+        const added = newOperations[key];
+        if (before.operations.some(item => item.name == added.name)) continue;
+
+        operation = `${added.method.toUpperCase()} ${added.path} (${added.name})`;
+        change(false, 'operation-added', null, 'operation added');
+    }
+
+    // Named schemas are exported as types
+    operation = null;
+
+    for (const name in before.schemas) {
+        if (!(name in after.schemas)) change(true, 'schema-removed', name, 'schema removed');
+    }
+
+    for (const name in after.schemas) {
+        if (!(name in before.schemas)) change(false, 'schema-added', name, 'schema added');
+    }
+
+    return {
+        breaking: changes.some(item => item.breaking),
+        changes,
+    };
+};
+
+/**
+ * Format a diff report as text
+ * @param {Object} report Report (see diffDocuments)
+ * @returns {string} Text
+ */
+const formatDiff = (report) => {
+    if (report.changes.length == 0) return 'No changes';
+
+    const line = (item) => `  ${[item.operation, item.location].filter(Boolean).join(' ')}: ${item.message}`;
+    const breaking = report.changes.filter(item => item.breaking);
+    const other = report.changes.filter(item => !item.breaking);
+    const sections = [];
+
+    if (breaking.length > 0) sections.push([`Breaking changes (${breaking.length}):`, ...breaking.map(line)].join('\n'));
+    if (other.length > 0) sections.push([`Non-breaking changes (${other.length}):`, ...other.map(line)].join('\n'));
+
+    return sections.join('\n\n');
+};
+
+module.exports = {
+    diffDocuments,
+    formatDiff,
+};
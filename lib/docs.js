@@ -0,0 +1,60 @@
+// Arguments of the operations by parameter location, Swagger v2 form parameters are body properties
+const argumentGroups = { path: 'params', query: 'query', header: 'headers', cookie: 'cookies', formData: 'body' };
+
+const jsDocTypes = { string: 'string', integer: 'number', number: 'number', boolean: 'boolean', array: 'Array', object: 'Object', file: '*' };
+
+/**
+ * Make a text fit a doc comment: on one line and without the end of the comment
+ * @param {string} text Text, e.g. a description
+ * @returns {string}
+ */
+const commentText = (text) => String(text ?? '').trim().replace(/\s*(\r\n|\r|\n)\s*/g, ' ').replace(/\*\//g, '*\\/');
+
+const jsDocType = (schema) => {
+    const type = Array.isArray(schema?.type) ? schema.type.find(item => item != 'null') : schema?.type;
+    return `{${jsDocTypes[type] || '*'}}`;
+};
+
+const argumentName = (group, name, required, schema) => {
+    const path = `args.${group}${/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? `.${name}` : `[${JSON.stringify(name)}]`}`;
+    if (required) return path;
+
+    return schema?.default !== undefined ? `[${path}=${JSON.stringify(schema.default)}]` : `[${path}]`;
+};
+
+/**
+ * Document an operation and its arguments for the JSDoc of its method
+ * @param {Object} operation Operation (references resolved)
+ * @returns {Object} { notes, params, query, headers, cookies, body, bodyText } where notes are the lines of the description
+ */
+const operationDocs = (operation) => {
+    const docs = { notes: [], params: [], query: [], headers: [], cookies: [], body: [], bodyText: 'Request body' };
+
+    // The summary is on the first line already, the description follows it
+    const description = String(operation?.description ?? '').replace(/\*\//g, '*\\/').trim();
+    if (description) docs.notes = ['', ...description.split(/\r\n|\r|\n/).map(line => line.trimEnd())];
+
+    for (const parameter of operation?.parameters || []) {
+        const schema = parameter.schema || parameter;
+        const text = [parameter.deprecated ? '(deprecated)' : '', commentText(parameter.description)].filter(Boolean).join(' ');
+
+        if (parameter.in == 'body') {
+            if (text) docs.bodyText = text;
+            continue;
+        }
+
+        const group = argumentGroups[parameter.in];
+        if (!group) continue;
+
+        docs[group].push({ type: jsDocType(schema), name: argumentName(group, parameter.name, parameter.required || parameter.in == 'path', schema), text });
+    }
+
+    if (operation?.requestBody?.description) docs.bodyText = commentText(operation.requestBody.description);
+
+    return docs;
+};
+
+module.exports = {
+    commentText,
+    operationDocs,
+};
@@ -0,0 +1,75 @@
+class ValidationError extends Error {
+    constructor(message) {
+        let stack = [];
+
+        message.forEach(err => {
+            stack.push(`${err.instancePath} ${err.message}, got "${typeof err.data}"`);
+        });
+
+        super(stack.join(', '));
+        this.name = "ValidationError";
+        this.errors = message;
+    }
+}
+
+class ResponseValidationError extends ValidationError {
+    /**
+     * Response body doesn't match the declared response schema
+     * @param {Object[]} errors Ajv errors
+     * @param {Object} response Axios response
+     * @param {string} operationId Operation id
+     */
+    constructor(errors, response, operationId) {
+        super(errors);
+        this.name = "ResponseValidationError";
+        this.message = `Invalid response for ${operationId} (${response.status}): ${this.message}`;
+        this.status = response.status;
+        this.operationId = operationId;
+        this.response = response;
+    }
+}
+
+class ApiError extends Error {
+    /**
+     * Non-2xx response
+     * @param {Object} response Axios response
+     * @param {string} operationId Operation id
+     * @param {Object[]|null} errors Ajv errors if the body doesn't match the declared error schema
+     */
+    constructor(response, operationId, errors) {
+        super(`${operationId} failed with status ${response.status}${response.statusText ? ` (${response.statusText})` : ''}`);
+        this.name = "ApiError";
+        this.status = response.status;
+        this.operationId = operationId;
+        this.body = response.data;
+        this.headers = response.headers;
+        this.response = response;
+        this.validationErrors = errors || null;
+    }
+}
+
+class RecordingNotFoundError extends Error {
+    /**
+     * No recorded response matches a replayed request
+     * @param {Object} request Request ({ operationId, method, path, params, query, body })
+     * @param {string} file Cassette file
+     * @param {number} count Number of recorded requests of the operation
+     */
+    constructor(request, file, count) {
+        const { operationId, method, path, params, query, body } = request;
+        const json = (value) => JSON.stringify(value ?? null);
+
+        super(`No recorded response for ${operationId} (${String(method).toUpperCase()} ${path}) with params ${json(params)}, query ${json(query)} and body ${json(body)} in ${file} (${count} recorded)`);
+        this.name = "RecordingNotFoundError";
+        this.operationId = operationId;
+        this.request = request;
+        this.file = file;
+    }
+}
+
+module.exports = {
+    ApiError,
+    RecordingNotFoundError,
+    ResponseValidationError,
+    ValidationError,
+};
@@ -0,0 +1,117 @@
+// Lists an operation filter can match
+const filterKeys = ['tags', 'paths', 'operations', 'methods'];
+
+// Command line filters are prefixed with the list they go to, e.g. "tag:pet"
+const filterPrefixes = { tag: 'tags', path: 'paths', operation: 'operations', method: 'methods' };
+
+const deprecatedModes = ['warn', 'omit'];
+
+/**
+ * Convert a path glob to a regular expression: "*" matches within a segment and "**" across segments
+ * @param {string} glob Path glob, e.g. "/admin/**" or "/pets/*"
+ * @returns {RegExp}
+ */
+const globToRegExp = (glob) => {
+    const source = String(glob).split(/(\*\*|\*|\?)/).map(part => {
+        if (part == '**') return '.*';
+        if (part == '*') return '[^/]*';
+        if (part == '?') return '[^/]';
+
+        return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+
+    return new RegExp(`^${source}$`);
+};
+
+const normalizeFilter = (filter, label) => {
+    if (filter === undefined || filter === null) return null;
+    if (typeof filter != 'object' || Array.isArray(filter)) throw new Error(`The ${label} filter must be an object with ${filterKeys.join(', ')} lists`);
+
+    const result = {};
+
+    for (const key in filter) {
+        if (!filterKeys.includes(key)) throw new Error(`Unknown ${label} filter "${key}", expected ${filterKeys.join(', ')}`);
+        result[key] = [].concat(filter[key] ?? []).map(String);
+    }
+
+    // An empty filter doesn't filter anything
+    if (Object.values(result).every(list => list.length == 0)) return null;
+
+    return {
+        tags: result.tags || [],
+        paths: (result.paths || []).map(globToRegExp),
+        operations: result.operations || [],
+        methods: (result.methods || []).map(method => method.toLowerCase()),
+    };
+};
+
+// An operation matches a filter when it matches any of its lists, operations by their method name or operationId
+const matches = (filter, method, path, operation, name) => filter.tags.some(tag => (operation?.tags || []).includes(tag))
+    || filter.paths.some(pattern => pattern.test(path))
+    || filter.operations.some(item => item === name || item === operation?.operationId)
+    || filter.methods.includes(method.toLowerCase());
+
+/**
+ * Create a filter keeping the operations that match the include filter (if any) and not the exclude filter
+ * @param {Object} options Filters
+ * @param {Object} options.include Operations to keep ({ tags, paths, operations, methods }, paths are globs and operations method names or operationIds)
+ * @param {Object} options.exclude Operations to leave out (same lists as include)
+ * @param {string} options.deprecated Deprecated operations, "warn" (default) keeps them and "omit" leaves them out
+ * @returns {Function} (method, path, operation, name) => boolean, name is the method name of the operation.
+ * Its check() throws if an operation of the filters isn't any of the operations filtered so far
+ */
+const operationFilter = ({ include, exclude, deprecated } = {}) => {
+    if (deprecated !== undefined && deprecated !== null && !deprecatedModes.includes(deprecated)) throw new Error(`Deprecated must be ${deprecatedModes.join(' or ')}, got "${deprecated}"`);
+
+    const included = normalizeFilter(include, 'include');
+    const excluded = normalizeFilter(exclude, 'exclude');
+
+    const known = new Set();
+
+    const filter = (method, path, operation, name) => {
+        known.add(name).add(operation?.operationId);
+
+        return (!included || matches(included, method, path, operation, name))
+            && !(excluded && matches(excluded, method, path, operation, name))
+            && !(deprecated == 'omit' && operation?.deprecated === true);
+    };
+
+    // A misspelled operation would silently include nothing or exclude nothing
+    filter.check = () => {
+        for (const [label, list] of [['include', included], ['exclude', excluded]]) {
+            const unknown = (list?.operations || []).filter(item => !known.has(item));
+            if (unknown.length > 0) throw new Error(`The ${label} filter operations ${unknown.map(item => `"${item}"`).join(', ')} match no operation`);
+        }
+    };
+
+    return filter;
+};
+
+/**
+ * Parse command line filters such as "tag:pet", "path:/store/**", "operation:getPetById" or "method:delete"
+ * @param {string|string[]} values Filters
+ * @param {string} label Option name, for errors
+ * @returns {Object|undefined} Filter ({ tags, paths, operations, methods }), undefined if there are none
+ */
+const parseFilter = (values, label) => {
+    const list = [].concat(values ?? []);
+    if (list.length == 0) return undefined;
+
+    const filter = {};
+
+    for (const value of list) {
+        const index = String(value).indexOf(':');
+        const key = filterPrefixes[String(value).slice(0, index)];
+        if (index < 1 || !key) throw new Error(`${label} must be tag:<tag>, path:<glob>, operation:<name> or method:<method>, got "${value}"`);
+
+        filter[key] = [...(filter[key] || []), String(value).slice(index + 1)];
+    }
+
+    return filter;
+};
+
+module.exports = {
+    globToRegExp,
+    operationFilter,
+    parseFilter,
+};
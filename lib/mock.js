@@ -0,0 +1,361 @@
+const http = require('http');
+const { resolveRef } = require('./refs');
+
+const formats = {
+    'date-time': () => '2024-01-01T00:00:00.000Z',
+    'date': () => '2024-01-01',
+    'time': () => '00:00:00',
+    'email': () => 'user@example.com',
+    'uuid': () => '00000000-0000-4000-8000-000000000000',
+    'uri': () => 'https://example.com',
+    'url': () => 'https://example.com',
+    'hostname': () => 'example.com',
+    'ipv4': () => '127.0.0.1',
+    'ipv6': () => '::1',
+    'byte': () => 'c3RyaW5n',
+    'binary': () => 'string',
+    'password': () => 'password',
+};
+
+const mergeAllOf = (schemas, resolve) => {
+    const merged = { type: 'object', properties: {}, required: [] };
+
+    for (const schema of schemas) {
+        const part = schema?.allOf ? mergeAllOf(schema.allOf.map(resolve), resolve) : schema || {};
+        Object.assign(merged.properties, part.properties || {});
+        merged.required.push(...(part.required || []));
+        if (part.type && part.type != 'object') merged.type = part.type;
+    }
+
+    return merged;
+};
+
+// Returns undefined for recursive references, so arrays and optional properties can leave them out
+const generate = (schema, options, depth, refs) => {
+    if (!schema || typeof schema !== 'object' || depth > 8) return null;
+
+    if (typeof schema.$ref == 'string') {
+        if (refs.includes(schema.$ref)) return undefined;
+        if (!options?.resolve) return null;
+        return generate(options.resolve(schema.$ref), options, depth, [...refs, schema.$ref]);
+    }
+
+    if (schema.example !== undefined) return schema.example;
+    if (Array.isArray(schema.examples) && schema.examples.length > 0) return schema.examples[0];
+    if (schema.const !== undefined) return schema.const;
+    if (schema.default !== undefined) return schema.default;
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+
+    if (Array.isArray(schema.allOf)) {
+        const { allOf, ...rest } = schema;
+        const resolve = (part) => typeof part?.$ref == 'string' && options?.resolve ? options.resolve(part.$ref) : part;
+        const merged = mergeAllOf([...allOf.map(resolve), rest], resolve);
+        return generate({ ...rest, ...merged }, options, depth + 1, refs);
+    }
+    if (Array.isArray(schema.oneOf) && schema.oneOf.length > 0) return generate(schema.oneOf[0], options, depth + 1, refs);
+    if (Array.isArray(schema.anyOf) && schema.anyOf.length > 0) return generate(schema.anyOf[0], options, depth + 1, refs);
+
+    let type = Array.isArray(schema.type) ? schema.type.find(type => type != 'null') || 'null' : schema.type;
+    if (!type) type = schema.properties || schema.additionalProperties ? 'object' : schema.items ? 'array' : null;
+
+    switch (type) {
+        case 'string': {
+            let value = formats[schema.format] ? formats[schema.format]() : 'string';
+            if (schema.minLength && value.length < schema.minLength) value = value.padEnd(schema.minLength, 'x');
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) value = value.slice(0, schema.maxLength);
+            return value;
+        }
+        case 'integer':
+        case 'number': {
+            let value = 0;
+            if (schema.minimum !== undefined) value = schema.minimum;
+            if (schema.exclusiveMinimum !== undefined) {
+                // OpenAPI v3.0 uses a boolean, v3.1 a number
+                value = typeof schema.exclusiveMinimum == 'number' ? schema.exclusiveMinimum + 1 : value + 1;
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) value = schema.maximum;
+            if (schema.multipleOf) value = Math.ceil(value / schema.multipleOf) * schema.multipleOf;
+            return type == 'integer' ? Math.ceil(value) : value;
+        }
+        case 'boolean':
+            return true;
+        case 'null':
+            return null;
+        case 'array': {
+            const count = Math.max(schema.minItems || 1, 1);
+            const items = [];
+            for (let i = 0; i < count; i++) {
+                const item = generate(schema.items, options, depth + 1, refs);
+                if (item === undefined) return [];
+                items.push(item);
+            }
+            return schema.maxItems !== undefined ? items.slice(0, schema.maxItems) : items;
+        }
+        case 'object': {
+            const data = {};
+            const required = schema.required || [];
+            const optional = options?.optional !== false;
+
+            for (const key in schema.properties || {}) {
+                const property = schema.properties[key];
+                if (property?.writeOnly) continue;
+                if (!required.includes(key) && (!optional || depth >= 4)) continue;
+
+                const value = generate(property, options, depth + 1, refs);
+                if (value !== undefined) data[key] = value;
+            }
+
+            return data;
+        }
+        default:
+            return null;
+    }
+};
+
+/**
+ * Generate sample data from a JSON schema
+ * @param {Object} schema JSON schema
+ * @param {Object} options
+ * @param {boolean} options.optional Include optional properties (default true)
+ * @param {Function} options.resolve Resolve a $ref to its schema
+ * @returns {*} Sample data
+ */
+const sample = (schema, options) => {
+    const data = generate(schema, options, 0, []);
+    return data === undefined ? null : data;
+};
+
+/**
+ * Synthesize a response for an operation from its examples or schemas
+ * @param {Object} operation OpenAPI operation object
+ * @param {Object} options Sample options
+ * @returns {Object} Response ({ status, contentType, data })
+ */
+const mockResponse = (operation, options) => {
+    const responses = operation?.responses || {};
+    const codes = Object.keys(responses);
+    const status = codes.find(code => /^2\d\d$/.test(code)) || codes.find(code => /^2/.test(code)) || codes.find(code => code == 'default') || '200';
+    const response = responses[status] || {};
+    const statusCode = /^\d{3}$/.test(status) ? Number(status) : 200;
+
+    // Swagger v2
+    if (response.schema || response.examples) {
+        const contentType = Object.keys(response.examples || {})[0] || operation.produces?.[0] || 'application/json';
+        const data = response.examples?.[contentType] !== undefined ? response.examples[contentType] : sample(response.schema, options);
+        return { status: statusCode, contentType, data };
+    }
+
+    // OpenAPI v3
+    const content = response.content || {};
+    const contentType = Object.keys(content).find(type => /json/.test(type)) || Object.keys(content)[0] || null;
+    if (!contentType) return { status: statusCode, contentType: null, data: null };
+
+    const media = content[contentType];
+
+    let data;
+    if (media.example !== undefined) data = media.example;
+    else if (media.examples && Object.keys(media.examples).length > 0) data = Object.values(media.examples)[0]?.value;
+    else data = sample(media.schema, options);
+
+    return { status: statusCode, contentType, data };
+};
+
+/**
+ * Create an axios adapter that answers with mock responses
+ * @param {Function} find Find the operation object by operationId
+ * @param {Object} options Sample options
+ * @returns {Function} Axios adapter
+ */
+const mockAdapter = (find, options) => async (config) => {
+    const operation = find(config.operationId);
+    if (!operation) throw new Error(`No operation to mock for ${config.method?.toUpperCase()} ${config.url}`);
+
+    const { status, contentType, data } = mockResponse(operation, options);
+
+    return {
+        data,
+        status,
+        statusText: http.STATUS_CODES[status] || '',
+        headers: contentType ? { 'content-type': contentType } : {},
+        config,
+        request: {},
+    };
+};
+
+const parseCookies = (header) => {
+    const cookies = {};
+
+    for (const pair of (header || '').split(';')) {
+        const index = pair.indexOf('=');
+        if (index < 1) continue;
+        cookies[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+    }
+
+    return cookies;
+};
+
+const parseQuery = (searchParams) => {
+    const query = {};
+
+    for (const [key, value] of searchParams) {
+        if (query[key] === undefined) query[key] = value;
+        else query[key] = [].concat(query[key], value);
+    }
+
+    return query;
+};
+
+const splitters = {
+    form: ',',
+    simple: ',',
+    spaceDelimited: ' ',
+    tabDelimited: '\t',
+    pipeDelimited: '|',
+};
+
+const typeOf = (schema) => Array.isArray(schema?.type) ? schema.type.find(type => type != 'null') : schema?.type;
+
+const toObject = (parts) => {
+    const object = {};
+    for (let i = 0; i + 1 < parts.length; i += 2) object[parts[i]] = parts[i + 1];
+    return object;
+};
+
+/**
+ * Deserialize styled query parameters (delimited arrays, objects and deepObject)
+ * @param {Object} query Query parameters as parsed from the URL
+ * @param {Object} schema Query parameters schema
+ * @param {Object} styles Query parameter styles keyed by name
+ * @returns {Object} Query parameters
+ */
+const deserializeQuery = (query, schema, styles) => {
+    const result = { ...query };
+
+    for (const name in schema?.properties || {}) {
+        const { style = 'form', explode = style == 'form' } = styles?.[name] || {};
+        const type = typeOf(schema.properties[name]);
+
+        if (style == 'deepObject') {
+            const prefix = `${name}[`;
+            for (const key of Object.keys(result)) {
+                if (!key.startsWith(prefix) || !key.endsWith(']')) continue;
+                if (!result[name] || typeof result[name] != 'object') result[name] = {};
+                result[name][key.slice(prefix.length, -1)] = result[key];
+                delete result[key];
+            }
+        } else if (!explode && typeof result[name] == 'string') {
+            const parts = result[name].split(splitters[style] || ',');
+            if (type == 'array') result[name] = parts;
+            else if (type == 'object') result[name] = toObject(parts);
+        } else if (explode && type == 'object' && result[name] === undefined) {
+            const keys = Object.keys(schema.properties[name].properties || {}).filter(key => result[key] !== undefined);
+            if (keys.length > 0) result[name] = Object.fromEntries(keys.map(key => [key, result[key]]));
+        }
+    }
+
+    return result;
+};
+
+const deserializeParams = (params, schema) => {
+    const result = { ...params };
+
+    for (const name in result) {
+        const type = typeOf(schema?.properties?.[name]);
+        if (type == 'array') result[name] = result[name].split(',');
+        else if (type == 'object') result[name] = toObject(result[name].split(','));
+    }
+
+    return result;
+};
+
+const readBody = (request) => new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    request.on('error', reject);
+});
+
+/**
+ * Create an HTTP server that answers every operation with mock responses
+ * @param {Object} builder Built SwaggerClientBuilder
+ * @returns {http.Server} HTTP server (not listening yet)
+ */
+const createMockServer = (builder) => {
+    const routes = builder._routes();
+    const options = { resolve: ref => resolveRef(builder.api, { $ref: ref }) };
+    const basePath = (() => {
+        try {
+            return new URL(builder.options.baseURL || '', 'http://localhost').pathname.replace(/\/$/, '');
+        } catch (error) {
+            return '';
+        }
+    })();
+
+    return http.createServer(async (request, response) => {
+        const send = (status, contentType, data) => {
+            response.statusCode = status;
+            if (data === null || data === undefined) return response.end();
+            const isJson = !contentType || /json/.test(contentType);
+            response.setHeader('content-type', contentType || 'application/json');
+            response.end(isJson || typeof data != 'string' ? JSON.stringify(data) : data);
+        };
+
+        try {
+            const url = new URL(request.url, 'http://localhost');
+            let pathname = decodeURI(url.pathname);
+            if (basePath && pathname.startsWith(basePath)) pathname = pathname.slice(basePath.length) || '/';
+
+            const method = request.method.toLowerCase();
+            const route = routes.find(route => route.method == method && route.regex.test(pathname));
+            if (!route) return send(404, 'application/json', { message: `No operation for ${request.method} ${pathname}` });
+
+            const match = pathname.match(route.regex);
+            const params = {};
+            route.names.forEach((name, index) => params[name] = decodeURIComponent(match[index + 1]));
+
+            const query = deserializeQuery(parseQuery(url.searchParams), route.schema.query, route.styles.query);
+
+            const headers = {};
+            for (const name of Object.keys(route.schema.header?.properties || {})) {
+                const value = request.headers[name.toLowerCase()];
+                if (value !== undefined) headers[name] = value;
+            }
+
+            const raw = await readBody(request);
+            const contentType = request.headers['content-type'] || '';
+            let body;
+            if (raw) {
+                try {
+                    if (/json/.test(contentType)) body = JSON.parse(raw);
+                    else if (/x-www-form-urlencoded/.test(contentType)) body = parseQuery(new URLSearchParams(raw));
+                    else body = raw;
+                } catch (error) {
+                    return send(400, 'application/json', { message: `Invalid request body: ${error.message}` });
+                }
+            }
+
+            const errors = route.validate({
+                params: deserializeParams(params, route.schema.path),
+                query,
+                headers,
+                cookies: parseCookies(request.headers.cookie),
+                body,
+                contentType,
+            });
+            // Schemas of verbose errors aren't sent back
+            if (errors) return send(400, 'application/json', { message: 'Validation failed', errors: errors.map(({ schema, parentSchema, ...error }) => error) });
+
+            const mocked = mockResponse(route.operation, options);
+            return send(mocked.status, mocked.contentType, mocked.data);
+        } catch (error) {
+            return send(500, 'application/json', { message: error.message });
+        }
+    });
+};
+
+module.exports = {
+    createMockServer,
+    mockAdapter,
+    mockResponse,
+    sample,
+};
@@ -0,0 +1,132 @@
+const FormData = require('form-data');
+const fs = require('fs');
+const Path = require('path');
+
+// Swagger v2 collectionFormat of array form parameters, "multi" sends a part per item
+const collectionDelimiters = { csv: ',', ssv: ' ', tsv: '\t', pipes: '|' };
+
+/**
+ * Get how every property of a multipart body is encoded
+ * @param {Object} operation OpenAPI operation
+ * @returns {Object} Parts ({ contentType, headers, delimiter }) keyed by property name
+ */
+const multipartEncoding = (operation) => {
+    const encoding = {};
+
+    // OpenAPI v3 encoding object, header values come from their default or example
+    const media = operation?.requestBody?.content?.['multipart/form-data'];
+    for (const name in media?.encoding || {}) {
+        const { contentType, headers: definitions = {} } = media.encoding[name] || {};
+        const headers = {};
+
+        for (const header in definitions) {
+            const value = definitions[header]?.schema?.default ?? definitions[header]?.example;
+            if (header.toLowerCase() != 'content-type' && value !== undefined) headers[header] = String(value);
+        }
+
+        encoding[name] = { contentType: contentType || null, headers };
+    }
+
+    // Swagger v2
+    for (const parameter of operation?.parameters || []) {
+        if (parameter.in != 'formData' || parameter.type != 'array' || parameter.collectionFormat == 'multi') continue;
+        encoding[parameter.name] = { delimiter: collectionDelimiters[parameter.collectionFormat || 'csv'] || ',' };
+    }
+
+    return encoding;
+};
+
+const isStream = (value) => value !== null && typeof value == 'object' && typeof value.pipe == 'function';
+
+const isBlob = (value) => typeof Blob != 'undefined' && value instanceof Blob;
+
+const isBinary = (value) => Buffer.isBuffer(value) || value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+
+// { path, filename, contentType } reads the file when the request is sent
+const isFileReference = (value) => value !== null && typeof value == 'object' && typeof value.path == 'string'
+    && Object.keys(value).every(key => ['path', 'filename', 'contentType'].includes(key));
+
+/**
+ * Check if a value is sent as a file
+ * @param {*} value Value
+ * @returns {boolean}
+ */
+const isFile = (value) => isStream(value) || isBlob(value) || isBinary(value) || isFileReference(value);
+
+/**
+ * Replace files by empty strings, so a multipart body can be validated (files are "format: binary" strings)
+ * @param {Object} body Request body
+ * @returns {Object} Copy of the body
+ */
+const multipartValues = (body) => {
+    if (body === null || typeof body != 'object' || Array.isArray(body)) return body;
+
+    const values = {};
+    for (const name in body) values[name] = Array.isArray(body[name]) ? body[name].map(item => isFile(item) ? '' : item) : isFile(body[name]) ? '' : body[name];
+
+    return values;
+};
+
+const appendPart = async (formData, name, value, part) => {
+    const header = Object.keys(part.headers || {}).length > 0 ? part.headers : undefined;
+
+    // The first content type of the encoding, wildcards are left to the value
+    const declared = String(part.contentType || '').split(',')[0].trim();
+    const contentType = declared && !declared.includes('*') ? declared : undefined;
+
+    if (isBlob(value)) {
+        const filename = value.name || name;
+        return formData.append(name, Buffer.from(await value.arrayBuffer()), { filename, contentType: value.type || contentType, header });
+    }
+
+    if (isFileReference(value)) {
+        const filename = value.filename || Path.basename(value.path);
+        return formData.append(name, fs.createReadStream(value.path), { filename, contentType: value.contentType || contentType, header });
+    }
+
+    if (isBinary(value) || isStream(value)) {
+        const filename = typeof value.path == 'string' ? Path.basename(value.path) : name;
+        return formData.append(name, isStream(value) ? value : Buffer.from(value), { filename, contentType, header });
+    }
+
+    if (typeof value == 'object' && !(value instanceof Date)) {
+        return formData.append(name, JSON.stringify(value), { contentType: contentType || 'application/json', header });
+    }
+
+    formData.append(name, value instanceof Date ? value.toISOString() : String(value), { contentType, header });
+};
+
+/**
+ * Build a multipart body: files (streams, Buffers, Blobs and { path } references) are file parts,
+ * objects are JSON parts and arrays are a part per item
+ * @param {Object} body Request body
+ * @param {Object} encoding Parts (see multipartEncoding)
+ * @returns {Promise<FormData>} Form data
+ */
+const multipartBody = async (body, encoding) => {
+    const formData = new FormData();
+
+    for (const name in body || {}) {
+        const value = body[name];
+        const part = encoding?.[name] || {};
+        if (value === undefined || value === null) continue;
+
+        if (Array.isArray(value) && part.delimiter !== undefined) {
+            formData.append(name, value.map(item => item instanceof Date ? item.toISOString() : String(item)).join(part.delimiter));
+            continue;
+        }
+
+        for (const item of Array.isArray(value) ? value : [value]) {
+            if (item !== undefined && item !== null) await appendPart(formData, name, item, part);
+        }
+    }
+
+    return formData;
+};
+
+module.exports = {
+    isFile,
+    multipartBody,
+    multipartEncoding,
+    multipartValues,
+};
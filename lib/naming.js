@@ -0,0 +1,79 @@
+// Members of the exported client (and of its tag classes) that operations must not shadow
+const clientMembers = [
+    'authenticator', 'client', 'constructor', 'customBaseURL', 'instance', 'on', 'recorder', 'resilience', 'responseValidation',
+    'server', 'serverVariables', 'validateResponse', 'validator', 'validators',
+];
+
+/**
+ * Convert any string to a camelCase JavaScript identifier, valid identifiers are kept as they are
+ * @param {string} name Original name
+ * @returns {string} Identifier (empty if there's nothing to keep)
+ */
+const identifier = (name) => {
+    const words = String(name ?? '').split(/[^A-Za-z0-9_$]+/).filter(Boolean);
+    if (words.length == 0) return '';
+
+    let result = words.map((word, index) => index == 0 ? word : `${word[0].toUpperCase()}${word.slice(1)}`).join('');
+    if (/^[0-9]/.test(result)) result = `_${result}`;
+
+    return result;
+};
+
+/**
+ * Derive an operation name from its method and path (e.g. GET /users/{id}/posts is getUsersByIdPosts)
+ * @param {string} method HTTP method
+ * @param {string} path Path template
+ * @returns {string} Identifier
+ */
+const defaultOperationName = (method, path) => {
+    const words = String(path).split('/').filter(Boolean).map(segment => segment.replace(/{(.*?)}/g, ' By $1 '));
+
+    return identifier([method, ...words].join(' '));
+};
+
+/**
+ * Give every operation a unique method name
+ * @param {Object[]} operations Operations ({ method, path, operation }) in document order
+ * @param {Object} options
+ * @param {Function} options.operationName Naming hook (method, path, operation) => name, falls back to the default for empty names
+ * @param {string[]} options.reserved Names that operations must not use
+ * @returns {string[]} Names in the same order as the operations
+ */
+const operationNames = (operations, options) => {
+    const reserved = new Set([...clientMembers, ...Object.getOwnPropertyNames(Object.prototype), ...(options?.reserved || [])]);
+    const used = new Set();
+    const names = new Array(operations.length);
+
+    const claim = (name) => {
+        let base = reserved.has(name) ? `${name}Operation` : name;
+        let unique = base, index = 2;
+
+        while (used.has(unique) || reserved.has(unique)) unique = `${base}${index++}`;
+        used.add(unique);
+
+        return unique;
+    };
+
+    const given = operations.map(({ method, path, operation }) => {
+        const name = options?.operationName ? options.operationName(method, path, operation) : null;
+        return identifier(name || operation?.operationId);
+    });
+
+    // Given names are claimed first, so a synthesized name never renames an operationId
+    operations.forEach((operation, index) => {
+        if (given[index]) names[index] = claim(given[index]);
+    });
+
+    operations.forEach(({ method, path }, index) => {
+        if (!given[index]) names[index] = claim(defaultOperationName(method, path));
+    });
+
+    return names;
+};
+
+module.exports = {
+    clientMembers,
+    defaultOperationName,
+    identifier,
+    operationNames,
+};
@@ -0,0 +1,99 @@
+const isObject = (value) => value !== null && typeof value == 'object' && !Array.isArray(value) && !(value instanceof Date) && !Buffer.isBuffer(value);
+
+const isContainer = (value) => (Array.isArray(value) && value.length > 0) || (isObject(value) && Object.keys(value).length > 0);
+
+// Strings that YAML would read as something else are quoted
+const reserved = ['', '~', 'null', 'true', 'false', 'yes', 'no', 'on', 'off'];
+
+const yamlScalar = (value) => {
+    if (value === undefined || value === null) return 'null';
+    if (value instanceof Date) return value.toISOString();
+    if (Buffer.isBuffer(value)) return JSON.stringify(value.toString('base64'));
+    if (Array.isArray(value)) return '[]';
+    if (typeof value == 'object') return '{}';
+    if (typeof value != 'string') return String(value);
+
+    const plain = !/^[\s\-?:,[\]{}#&*!|>'"%@`]|^[-+]?(\.?\d|\.inf|\.nan)|: |:$| #|[\n\r\t]|\s$/i.test(value) && !reserved.includes(value.toLowerCase());
+    return plain ? value : JSON.stringify(value);
+};
+
+/**
+ * Convert a JSON value to YAML
+ * @param {*} value Value
+ * @param {number} indent Indentation level
+ * @returns {string} YAML
+ */
+const toYaml = (value, indent = 0) => {
+    const pad = '  '.repeat(indent);
+
+    if (Array.isArray(value) && value.length > 0) {
+        return value.map(item => isContainer(item) ? `${pad}- ${toYaml(item, indent + 1).trimStart()}` : `${pad}- ${yamlScalar(item)}`).join('\n');
+    }
+
+    if (isContainer(value)) {
+        return Object.keys(value).map(key => {
+            const item = value[key];
+            return isContainer(item) ? `${pad}${yamlScalar(key)}:\n${toYaml(item, indent + 1)}` : `${pad}${yamlScalar(key)}: ${yamlScalar(item)}`;
+        }).join('\n');
+    }
+
+    return `${pad}${yamlScalar(value)}`;
+};
+
+const cell = (value) => {
+    if (value === undefined || value === null) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value == 'object') return JSON.stringify(value);
+
+    return String(value).replace(/\s*\n\s*/g, ' ');
+};
+
+/**
+ * Convert a value to a text table: arrays of objects have a column per property, objects a row per property
+ * @param {*} value Value
+ * @returns {string} Table
+ */
+const toTable = (value) => {
+    let columns, rows;
+
+    if (Array.isArray(value) && value.length > 0 && value.every(isObject)) {
+        columns = [...new Set(value.flatMap(item => Object.keys(item)))];
+        rows = value.map(item => columns.map(column => cell(item[column])));
+    } else if (Array.isArray(value)) {
+        columns = ['value'];
+        rows = value.map(item => [cell(item)]);
+    } else if (isObject(value)) {
+        columns = ['key', 'value'];
+        rows = Object.keys(value).map(key => [key, cell(value[key])]);
+    } else {
+        return cell(value);
+    }
+
+    const widths = columns.map((column, index) => Math.max(column.length, ...rows.map(row => row[index].length)));
+    const line = (cells) => cells.map((text, index) => text.padEnd(widths[index])).join('  ').trimEnd();
+
+    return [line(columns), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n');
+};
+
+const outputFormats = ['json', 'yaml', 'table'];
+
+/**
+ * Format a value for the terminal
+ * @param {*} value Value
+ * @param {string} format "json", "yaml" or "table"
+ * @returns {string} Formatted value
+ */
+const formatOutput = (value, format) => {
+    if (format == 'yaml') return toYaml(value);
+    if (format == 'table') return toTable(value);
+    if (format == 'json' || !format) return JSON.stringify(value === undefined ? null : value, null, 2);
+
+    throw new Error(`Output format must be json, yaml or table, got "${format}"`);
+};
+
+module.exports = {
+    formatOutput,
+    outputFormats,
+    toTable,
+    toYaml,
+};
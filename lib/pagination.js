@@ -0,0 +1,150 @@
+const paginationDefaults = {
+    page: { pageParam: 'page', startPage: 1 },
+    offset: { offsetParam: 'offset' },
+    cursor: { cursorParam: 'cursor', nextCursor: 'next' },
+    link: {},
+};
+
+const paginationKeys = ['style', 'items', 'limit', 'limitParam', 'pageParam', 'startPage', 'offsetParam', 'cursorParam', 'nextCursor', 'maxItems'];
+
+const isEmpty = (value) => value === undefined || value === null;
+
+const valueAt = (object, path) => path ? path.split('.').reduce((value, key) => value?.[key], object) : object;
+
+// Items are the response body if it's an array, otherwise its first array property
+const itemsPath = (schema) => {
+    if (!schema) return null;
+    if (schema.type == 'array') return '';
+
+    const property = Object.keys(schema.properties || {}).find(key => schema.properties[key]?.type == 'array');
+    return property ?? null;
+};
+
+/**
+ * Normalize the pagination of an operation
+ * @param {string|Object|boolean} pagination Style, or { style, items, limit, limitParam, pageParam, startPage, offsetParam, cursorParam, nextCursor, maxItems }
+ * @param {string} operationId Operation name
+ * @param {Object} schema Response schema (references resolved), to find the items when they're not given
+ * @returns {Object|null} Pagination, null if the operation isn't paginated
+ */
+const normalizePagination = (pagination, operationId, schema) => {
+    if (!pagination) return null;
+
+    const options = typeof pagination == 'string' ? { style: pagination } : pagination;
+    const label = `Pagination of ${operationId}`;
+
+    for (const key in options) {
+        if (!paginationKeys.includes(key)) throw new Error(`${label}: unknown option "${key}", expected ${paginationKeys.join(', ')}`);
+    }
+
+    if (!paginationDefaults[options.style]) throw new Error(`${label}: style must be ${Object.keys(paginationDefaults).join(', ')}, got "${options.style}"`);
+
+    const items = options.items ?? itemsPath(schema);
+
+    return {
+        operationId,
+        style: options.style,
+        ...paginationDefaults[options.style],
+        limitParam: 'limit',
+        ...options,
+        // Found at runtime if the schema doesn't tell
+        items: items ?? null,
+    };
+};
+
+// Resolve a relative link against the URL of the request
+const requestURL = (config) => {
+    const url = String(config?.url || '');
+    if (!config?.baseURL || /^[a-z][a-z0-9+.-]*:\/\//i.test(url)) return url;
+
+    return `${config.baseURL.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+};
+
+/**
+ * Get the next page URL of an RFC 5988 Link header
+ * @param {string} header Link header
+ * @param {Object} config Request config ({ baseURL, url }), relative links are resolved against its URL
+ * @returns {string|null} URL
+ */
+const nextLink = (header, config) => {
+    const link = String(header || '').split(/,(?=\s*<)/).find(part => /;\s*rel="?([^"]*\s)?next(\s[^"]*)?"?(;|$)/i.test(part));
+    const url = link?.match(/<([^>]*)>/)?.[1];
+    if (!url) return null;
+
+    try {
+        return new URL(url, requestURL(config)).toString();
+    } catch (error) {
+        return url;
+    }
+};
+
+async function* pageItems(request, args, pagination) {
+    const { maxItems = pagination.maxItems ?? Infinity, ...rest } = args || {};
+    const { style } = pagination;
+
+    let query = { ...rest.query };
+    let url = null, count = 0;
+
+    if (pagination.limit && isEmpty(query[pagination.limitParam])) query[pagination.limitParam] = pagination.limit;
+    if (style == 'page' && isEmpty(query[pagination.pageParam])) query[pagination.pageParam] = pagination.startPage;
+    if (style == 'offset' && isEmpty(query[pagination.offsetParam])) query[pagination.offsetParam] = 0;
+
+    while (count < maxItems) {
+        // Links are followed as they are
+        const response = await request({ ...rest, query, options: { ...rest.options, ...(url ? { url } : {}) } });
+
+        const items = pagination.items === null && !Array.isArray(response.data)
+            ? Object.values(response.data || {}).find(value => Array.isArray(value))
+            : valueAt(response.data, pagination.items);
+
+        if (!Array.isArray(items)) throw new Error(`${pagination.operationId} returned a page without an items array${pagination.items ? ` at "${pagination.items}"` : ''}`);
+
+        // An empty page is the last one
+        if (items.length == 0) return;
+
+        for (const item of items) {
+            yield item;
+            if (++count >= maxItems) return;
+        }
+
+        if (style == 'page') {
+            query = { ...query, [pagination.pageParam]: Number(query[pagination.pageParam]) + 1 };
+        } else if (style == 'offset') {
+            query = { ...query, [pagination.offsetParam]: Number(query[pagination.offsetParam]) + items.length };
+        } else if (style == 'cursor') {
+            const cursor = valueAt(response.data, pagination.nextCursor);
+            if (isEmpty(cursor) || cursor === '') return;
+
+            query = { ...query, [pagination.cursorParam]: cursor };
+        } else {
+            url = nextLink(response.headers?.link, response.config);
+            if (!url) return;
+        }
+    }
+}
+
+/**
+ * Iterate the items of every page of an operation
+ * @param {Function} request Operation, (args) => Promise<response>
+ * @param {Object} args Arguments of the operation, maxItems limits the number of items
+ * @param {Object} pagination Pagination (see normalizePagination)
+ * @returns {AsyncGenerator} Items, all() collects them in an array
+ */
+const paginate = (request, args, pagination) => {
+    const iterator = pageItems(request, args, pagination);
+
+    iterator.all = async () => {
+        const items = [];
+        for await (const item of iterator) items.push(item);
+
+        return items;
+    };
+
+    return iterator;
+};
+
+module.exports = {
+    nextLink,
+    normalizePagination,
+    paginate,
+};
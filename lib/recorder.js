@@ -0,0 +1,235 @@
+const fs = require('fs').promises;
+const Path = require('path');
+const { AxiosError } = require('axios');
+const { decodedFormat } = require('./decoding');
+const { RecordingNotFoundError } = require('./errors');
+
+const recorderModes = ['record', 'replay'];
+
+// Credentials aren't written to cassettes
+const REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie'];
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Get the parameters of the apiKey security schemes
+ * @param {Object} securitySchemes Security schemes of the document
+ * @returns {Object} { headers, query, cookies } names, headers lower-cased
+ */
+const apiKeyNames = (securitySchemes) => {
+    const names = { headers: [], query: [], cookies: [] };
+
+    for (const scheme of Object.values(securitySchemes || {})) {
+        if ((scheme?.type || '').toLowerCase() != 'apikey' || !scheme.name) continue;
+
+        if (scheme.in == 'query') names.query.push(scheme.name);
+        else if (scheme.in == 'cookie') names.cookies.push(scheme.name);
+        else names.headers.push(scheme.name.toLowerCase());
+    }
+
+    return names;
+};
+
+// Values of the named cookies, in Cookie and Set-Cookie headers
+const redactCookies = (value, names) => {
+    const redact = (text) => String(text).replace(/(^|;\s*)([^=;\s]+)=[^;]*/g, (pair, start, name) => names.includes(name) ? `${start}${name}=${REDACTED}` : pair);
+
+    return Array.isArray(value) ? value.map(redact) : redact(value);
+};
+
+const sortKeys = (value) => {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value === null || typeof value != 'object') return value;
+
+    return Object.keys(value).sort().reduce((result, key) => ({ ...result, [key]: sortKeys(value[key]) }), {});
+};
+
+// Requests match when their method, path template and arguments are the same, whatever the order of their keys
+const requestKey = ({ method, path, params, query, body }) => JSON.stringify(sortKeys(JSON.parse(JSON.stringify([String(method).toLowerCase(), path, params ?? {}, query ?? {}, body ?? null]))));
+
+const isStream = (data) => data !== null && typeof data == 'object' && typeof data.pipe == 'function';
+
+const isBinary = (data) => Buffer.isBuffer(data) || data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+
+const readStream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+
+    return Buffer.concat(chunks);
+};
+
+class Recorder {
+    /**
+     * Record responses to cassettes, or replay them without network
+     * @param {Object} options
+     * @param {string} options.mode "record" or "replay"
+     * @param {string} options.dir Directory of the cassettes, a JSON file per operationId
+     * @param {string[]} options.redact Headers written as "[REDACTED]" (defaults to authorization, proxy-authorization, cookie and set-cookie), apiKeys are redacted either way
+     */
+    constructor(options) {
+        const { mode, dir, redact = REDACTED_HEADERS } = options || {};
+
+        if (!recorderModes.includes(mode)) throw new Error(`Recorder mode must be ${recorderModes.join(' or ')}, got "${mode}"`);
+        if (typeof dir != 'string' || !dir) throw new Error('Recorder dir is required');
+
+        this.mode = mode;
+        this.dir = dir;
+        this.redact = redact.map(header => header.toLowerCase());
+        this.secrets = apiKeyNames({});
+        this.cassettes = {};
+        this.writes = {};
+    }
+
+    get replaying() {
+        return this.mode == 'replay';
+    }
+
+    /**
+     * Get the cassette file of an operation
+     * @param {string} operationId Operation name
+     * @returns {string} File path
+     */
+    file(operationId) {
+        return Path.join(this.dir, `${operationId}.json`);
+    }
+
+    /**
+     * Redact the apiKey headers, query parameters and cookies of security schemes
+     * @param {Object} securitySchemes Security schemes of the document
+     */
+    secure(securitySchemes) {
+        this.secrets = apiKeyNames(securitySchemes);
+    }
+
+    _load(operationId) {
+        if (!this.cassettes[operationId]) {
+            this.cassettes[operationId] = fs.readFile(this.file(operationId), 'utf8').then(JSON.parse).catch(error => {
+                if (error.code == 'ENOENT') return [];
+                throw error;
+            });
+        }
+
+        return this.cassettes[operationId];
+    }
+
+    _redact(headers) {
+        const result = {};
+        const plain = typeof headers?.toJSON == 'function' ? headers.toJSON() : headers || {};
+
+        for (const name in plain) {
+            if (plain[name] === undefined || plain[name] === null) continue;
+            const header = name.toLowerCase();
+
+            if (this.redact.includes(header) || this.secrets.headers.includes(header)) result[name] = REDACTED;
+            else if ((header == 'cookie' || header == 'set-cookie') && this.secrets.cookies.length > 0) result[name] = redactCookies(plain[name], this.secrets.cookies);
+            else result[name] = plain[name];
+        }
+
+        return result;
+    }
+
+    // Recordings are matched redacted too, the apiKeys aren't in the cassettes
+    _redactQuery(recording) {
+        const { query } = recording;
+        if (!query || typeof query != 'object' || !this.secrets.query.some(name => name in query)) return recording;
+
+        const redacted = { ...query };
+        for (const name of this.secrets.query) if (name in redacted) redacted[name] = REDACTED;
+
+        return { ...recording, query: redacted };
+    }
+
+    /**
+     * Adapter answering requests from the cassettes
+     * @returns {Function} Axios adapter
+     */
+    adapter() {
+        return async (config) => {
+            const { recording } = config;
+            if (!recording) throw new Error(`Can't replay ${String(config.method).toUpperCase()} ${config.url}, it isn't an operation request`);
+
+            const request = { ...this._redactQuery(recording), method: config.method };
+            const interactions = await this._load(recording.operationId);
+            const key = requestKey(request);
+            const interaction = interactions.find(item => requestKey(item.request) == key);
+
+            if (!interaction) throw new RecordingNotFoundError(request, this.file(recording.operationId), interactions.length);
+
+            const { status, statusText = '', headers = {}, data, encoding } = interaction.response;
+            const response = {
+                data: encoding == 'base64' ? Buffer.from(data, 'base64') : data,
+                status,
+                statusText,
+                headers,
+                config,
+                request: {},
+            };
+
+            // Rejected like axios rejects them
+            const valid = config.validateStatus ? config.validateStatus(status) : status >= 200 && status < 300;
+            if (!valid) throw new AxiosError(`Request failed with status code ${status}`, status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST, config, null, response);
+
+            return response;
+        };
+    }
+
+    /**
+     * Record the responses of an instance, error responses included
+     * @param {Function} instance Axios instance
+     */
+    intercept(instance) {
+        instance.interceptors.response.use(response => this.record(response), async error => {
+            if (error?.response) await this.record(error.response);
+            throw error;
+        });
+    }
+
+    /**
+     * Record a response in the cassette of its operation, replacing the recording of the same request
+     * @param {Object} response Axios response
+     * @returns {Promise<Object>} Response (streams are read, their data is a Buffer)
+     */
+    async record(response) {
+        const { recording, method, headers } = response.config || {};
+        if (!recording) return response;
+
+        // Streams are read once, they're recorded and returned as bytes
+        if (isStream(response.data)) response.data = await readStream(response.data);
+
+        let data = response.data, encoding;
+
+        if (isBinary(data)) {
+            encoding = decodedFormat(response, 'binary') == 'binary' ? 'base64' : 'text';
+            data = Buffer.from(data).toString(encoding == 'base64' ? 'base64' : 'utf8');
+        }
+
+        const interaction = {
+            request: { method: String(method).toLowerCase(), ...this._redactQuery(recording), headers: this._redact(headers) },
+            response: { status: response.status, statusText: response.statusText || '', headers: this._redact(response.headers), data, ...(encoding == 'base64' ? { encoding } : {}) },
+        };
+
+        await this._save(recording.operationId, interaction);
+
+        return response;
+    }
+
+    _save(operationId, interaction) {
+        const key = requestKey(interaction.request);
+
+        // Writes of a cassette are queued, a failed write doesn't block the next ones
+        this.writes[operationId] = (this.writes[operationId] || Promise.resolve()).catch(() => null).then(async () => {
+            const interactions = (await this._load(operationId)).filter(item => requestKey(item.request) != key);
+            interactions.push(interaction);
+            this.cassettes[operationId] = Promise.resolve(interactions);
+
+            await fs.mkdir(this.dir, { recursive: true });
+            await fs.writeFile(this.file(operationId), `${JSON.stringify(interactions, null, 4)}\n`);
+        });
+
+        return this.writes[operationId];
+    }
+}
+
+module.exports = {
+    Recorder,
+};
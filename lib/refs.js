@@ -0,0 +1,178 @@
+/**
+ * Get the value a local JSON pointer ("#/components/schemas/Pet") points to
+ * @param {Object} document OpenAPI document
+ * @param {string} ref JSON pointer
+ * @returns {*} Value, undefined if it doesn't exist
+ */
+const resolvePointer = (document, ref) => {
+    if (typeof ref != 'string' || !ref.startsWith('#')) return undefined;
+
+    const segments = ref.slice(1).split('/').slice(1).map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+
+    let value = document;
+    for (const segment of segments) {
+        if (value === null || typeof value != 'object') return undefined;
+        value = value[segment];
+    }
+
+    return value;
+};
+
+/**
+ * Follow $ref until a value without $ref is found
+ * @param {Object} document OpenAPI document
+ * @param {Object} object Object that may be a reference
+ * @returns {Object} Referenced object
+ */
+const resolveRef = (document, object) => {
+    const seen = new Set();
+
+    while (object && typeof object == 'object' && typeof object.$ref == 'string' && !seen.has(object.$ref)) {
+        seen.add(object.$ref);
+        const target = resolvePointer(document, object.$ref);
+        if (target === undefined) throw new Error(`Can't resolve reference "${object.$ref}"`);
+        object = target;
+    }
+
+    return object;
+};
+
+/**
+ * Replace references to path items, parameters, request bodies, responses and security schemes by their targets,
+ * schemas keep their $ref
+ * @param {Object} document Bundled OpenAPI document
+ * @returns {Object} Document
+ */
+const dereferenceOperations = (document) => {
+    const methods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+    const resolve = (object) => resolveRef(document, object);
+
+    for (const path in document?.paths || {}) {
+        const pathItem = document.paths[path] = resolve(document.paths[path]);
+
+        if (Array.isArray(pathItem.parameters)) pathItem.parameters = pathItem.parameters.map(resolve);
+
+        for (const method of methods) {
+            const operation = pathItem[method];
+            if (!operation) continue;
+
+            if (Array.isArray(operation.parameters)) operation.parameters = operation.parameters.map(resolve);
+            if (operation.requestBody) operation.requestBody = resolve(operation.requestBody);
+
+            for (const status in operation.responses || {}) operation.responses[status] = resolve(operation.responses[status]);
+        }
+    }
+
+    const schemes = document?.components?.securitySchemes || document?.securityDefinitions || {};
+    for (const name in schemes) schemes[name] = resolve(schemes[name]);
+
+    return document;
+};
+
+class SchemaRegistry {
+    /**
+     * Create a new SchemaRegistry, which gives every referenced schema an $id so Ajv compiles it once
+     * @param {Object} document Bundled OpenAPI document
+     */
+    constructor(document) {
+        this.document = document || {};
+        this.prefix = this.document.components?.schemas ? '#/components/schemas/' : '#/definitions/';
+        this.named = this.document.components?.schemas || this.document.definitions || {};
+        this.ids = {};
+        this.schemas = {};
+        this.registered = new WeakMap();
+
+        for (const name in this.named) this.id(`${this.prefix}${name.replace(/~/g, '~0').replace(/\//g, '~1')}`);
+    }
+
+    /**
+     * Get the $id of the schema a JSON pointer points to, registering it if needed
+     * @param {string} ref JSON pointer
+     * @returns {string} Schema $id (with a fragment for pointers inside named schemas)
+     */
+    id(ref) {
+        if (this.ids[ref]) return this.ids[ref];
+
+        // Pointers inside a named schema become a fragment of its $id
+        if (ref.startsWith(this.prefix)) {
+            const [name, ...rest] = ref.slice(this.prefix.length).split('/');
+            const root = `${this.prefix}${name}`;
+
+            if (rest.length > 0) return `${this.id(root)}#/${rest.join('/')}`;
+
+            const id = encodeURIComponent(name.replace(/~1/g, '/').replace(/~0/g, '~'));
+            this.ids[ref] = id;
+            this.schemas[id] = this.toAjv(resolvePointer(this.document, ref));
+
+            return id;
+        }
+
+        // Schemas bundled somewhere else in the document
+        const target = resolvePointer(this.document, ref);
+        if (target === undefined) throw new Error(`Can't resolve reference "${ref}"`);
+
+        const id = `${ref.slice(2).replace(/[^A-Za-z0-9_-]+/g, '_')}_${Object.keys(this.ids).length}`;
+        this.ids[ref] = id;
+        this.schemas[id] = this.toAjv(target);
+
+        return id;
+    }
+
+    /**
+     * Copy a schema, replacing JSON pointers by schema $ids
+     * @param {Object} schema JSON schema
+     * @returns {Object} Schema for Ajv
+     */
+    toAjv(schema) {
+        if (Array.isArray(schema)) return schema.map(item => this.toAjv(item));
+        if (!schema || typeof schema != 'object') return schema;
+
+        const copy = {};
+
+        for (const key in schema) {
+            if (key == '$ref' && typeof schema.$ref == 'string' && schema.$ref.startsWith('#/')) copy.$ref = this.id(schema.$ref);
+            else copy[key] = this.toAjv(schema[key]);
+        }
+
+        return copy;
+    }
+
+    /**
+     * Prepare a schema for Ajv and register the schemas it references
+     * @param {Object} validator Ajv instance
+     * @param {Object} schema JSON schema
+     * @returns {Object} Schema for Ajv
+     */
+    prepare(validator, schema) {
+        const copy = this.toAjv(schema);
+        this.register(validator);
+
+        return copy;
+    }
+
+    /**
+     * Register all referenced schemas in an Ajv instance
+     * @param {Object} validator Ajv instance
+     * @returns {Object} Ajv instance
+     */
+    register(validator) {
+        if (!this.registered.has(validator)) this.registered.set(validator, new Set());
+        const registered = this.registered.get(validator);
+
+        // Schemas found in operations are registered later, when they're compiled
+        for (const id in this.schemas) {
+            if (registered.has(id)) continue;
+            validator.addSchema(this.schemas[id], id);
+            registered.add(id);
+        }
+
+        return validator;
+    }
+}
+
+module.exports = {
+    dereferenceOperations,
+    resolvePointer,
+    resolveRef,
+    SchemaRegistry,
+};
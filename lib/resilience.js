@@ -0,0 +1,247 @@
+// Methods that can be sent twice without side effects are the only ones retried by default
+const IDEMPOTENT_METHODS = ['get', 'put', 'delete', 'head'];
+
+const RETRY_DEFAULTS = {
+    retries: 3,
+    methods: IDEMPOTENT_METHODS,
+    statuses: [429, '5XX'],
+    minDelay: 100,
+    maxDelay: 30000,
+    factor: 2,
+};
+
+const EVENTS = ['request', 'response', 'retry', 'failure'];
+
+// Retry options override the ones of the previous layer: true enables retries, a number is the number of retries and false disables them
+const retryOptions = (retry, base) => {
+    if (retry === undefined || retry === null) return base;
+
+    const options = { ...RETRY_DEFAULTS, ...base };
+    if (retry === false) return { ...options, retries: 0 };
+    if (typeof retry == 'number') return { ...options, retries: retry };
+
+    return { ...options, retries: options.retries || RETRY_DEFAULTS.retries, ...(retry === true ? {} : retry) };
+};
+
+// Statuses are numbers or ranges like "5XX"
+const matchesStatus = (statuses, status) => statuses.some(item => String(item) == String(status) || (/^\dXX$/i.test(item) && String(status)[0] == String(item)[0]));
+
+// Network errors have no response, cancelled requests aren't network errors
+const isNetworkError = (error) => !error?.response && !['ERR_CANCELED'].includes(error?.code) && !['AbortError', 'CanceledError'].includes(error?.name);
+
+const abortError = (signal) => signal.reason || Object.assign(new Error('The operation was aborted'), { name: 'AbortError' });
+
+/**
+ * Wait, unless the signal aborts first
+ * @param {number} ms Delay
+ * @param {AbortSignal} signal Abort signal
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError(signal));
+
+    const abort = () => {
+        clearTimeout(timer);
+        reject(abortError(signal));
+    };
+
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', abort);
+        resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', abort, { once: true });
+});
+
+/**
+ * Get the delay of a Retry-After header
+ * @param {string} value Seconds or HTTP date
+ * @returns {number|null} Delay in milliseconds
+ */
+const retryAfter = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (/^\d+(\.\d+)?$/.test(String(value).trim())) return Number(value) * 1000;
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+class Resilience {
+    /**
+     * Create a new Resilience layer
+     * @param {Object} options Global policy, overridden per tag and per operation
+     * @param {boolean|number|Object} options.retry Retries ({ retries, methods, statuses, minDelay, maxDelay, factor })
+     * @param {number} options.timeout Request timeout in milliseconds
+     * @param {Object} options.tags Policies ({ retry, timeout }) keyed by tag
+     * @param {Object} options.operations Policies ({ retry, timeout }) keyed by operationId
+     * @param {Object} options.limiter Client-wide limits ({ concurrency, rate, interval, burst }), rate requests per interval
+     */
+    constructor(options) {
+        this.options = options || {};
+        this.listeners = {};
+        this.active = 0;
+        this.waiting = [];
+
+        const { concurrency = 0, rate = 0, interval = 1000, burst } = this.options.limiter || {};
+        this.concurrency = concurrency;
+        this.bucket = rate > 0 ? { rate, interval, size: burst || rate, tokens: burst || rate, updatedAt: Date.now() } : null;
+    }
+
+    /**
+     * Listen to an event: "request" and "response" per attempt, "retry" before waiting and "failure" when giving up
+     * @param {string} event Event name
+     * @param {Function} listener Listener, called with { operationId, method, attempt, ... }
+     * @returns {Function} Remove the listener
+     */
+    on(event, listener) {
+        if (!EVENTS.includes(event)) throw new Error(`Unknown event "${event}", expected ${EVENTS.join(', ')}`);
+
+        if (!this.listeners[event]) this.listeners[event] = [];
+        this.listeners[event].push(listener);
+
+        return () => {
+            this.listeners[event] = this.listeners[event].filter(item => item !== listener);
+        };
+    }
+
+    _emit(event, data) {
+        // Listeners are for logging, they can't break requests
+        for (const listener of this.listeners[event] || []) {
+            try {
+                listener(data);
+            } catch (error) {
+                // Ignored
+            }
+        }
+    }
+
+    /**
+     * Resolve the policy of an operation, operation policies win over tag policies which win over the global policy
+     * @param {Object} context Operation ({ operationId, tag })
+     * @returns {Object} Policy ({ retry, timeout })
+     */
+    policy(context) {
+        const layers = [this.options, this.options.tags?.[context.tag], this.options.operations?.[context.operationId]].filter(Boolean);
+        let retry = null, timeout;
+
+        for (const layer of layers) {
+            retry = retryOptions(layer.retry, retry);
+            if (layer.timeout !== undefined) timeout = layer.timeout;
+        }
+
+        retry = retry || { ...RETRY_DEFAULTS, retries: 0 };
+
+        return { retry: { ...retry, methods: (retry.methods || []).map(method => method.toLowerCase()) }, timeout };
+    }
+
+    _refill() {
+        const bucket = this.bucket;
+        const now = Date.now();
+
+        bucket.tokens = Math.min(bucket.size, bucket.tokens + (now - bucket.updatedAt) * bucket.rate / bucket.interval);
+        bucket.updatedAt = now;
+    }
+
+    // Take a slot and a token, or tell what to wait for
+    _take(signal) {
+        if (signal?.aborted) throw abortError(signal);
+        if (this.bucket) this._refill();
+
+        if (this.concurrency > 0 && this.active >= this.concurrency) return 'busy';
+        if (this.bucket && this.bucket.tokens < 1) return Math.ceil((1 - this.bucket.tokens) * this.bucket.interval / this.bucket.rate);
+
+        if (this.bucket) this.bucket.tokens -= 1;
+        this.active++;
+        return 0;
+    }
+
+    // Requests that don't have to wait are sent right away, without waiting for a tick
+    _acquire(signal) {
+        const wait = this._take(signal);
+        if (!wait) return null;
+
+        // Wait for a request to finish or for a token
+        const ready = wait != 'busy' ? sleep(wait, signal) : new Promise((resolve, reject) => {
+            const abort = () => {
+                this.waiting = this.waiting.filter(item => item !== next);
+                reject(abortError(signal));
+            };
+            const next = () => {
+                signal?.removeEventListener('abort', abort);
+                resolve();
+            };
+
+            this.waiting.push(next);
+            signal?.addEventListener('abort', abort, { once: true });
+        });
+
+        return ready.then(() => this._acquire(signal));
+    }
+
+    _release() {
+        this.active--;
+        this.waiting.shift()?.();
+    }
+
+    _retryDelay(retry, method, error, attempt, signal) {
+        if (attempt > retry.retries || signal?.aborted || !retry.methods.includes(method.toLowerCase())) return null;
+
+        const status = error?.response?.status;
+        if (status ? !matchesStatus(retry.statuses || [], status) : !isNetworkError(error)) return null;
+
+        // The server knows best, but it's not waited for longer than the maximum delay
+        const after = retryAfter(error?.response?.headers?.['retry-after']);
+        if (after !== null) return after <= retry.maxDelay ? after : null;
+
+        // Exponential backoff, with a random delay between half and all of it
+        const delay = Math.min(retry.maxDelay, retry.minDelay * Math.pow(retry.factor, attempt - 1));
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    /**
+     * Send a request according to the policy of its operation
+     * @param {Object} context Operation ({ operationId, tag, method, signal })
+     * @param {Function} send Send an attempt, (config) => Promise<response>, config has the timeout of the policy
+     * @returns {Promise<Object>} Response
+     */
+    async execute(context, send) {
+        const { operationId, method, signal } = context;
+        const { retry, timeout } = this.policy(context);
+
+        for (let attempt = 1; ; attempt++) {
+            const waiting = this._acquire(signal);
+            if (waiting) await waiting;
+
+            const startedAt = Date.now();
+            let delay, failure;
+
+            this._emit('request', { operationId, method, attempt });
+
+            try {
+                const response = await send(timeout !== undefined ? { timeout } : {});
+                this._emit('response', { operationId, method, attempt, status: response?.status, duration: Date.now() - startedAt });
+
+                return response;
+            } catch (error) {
+                failure = error;
+                delay = this._retryDelay(retry, method, error, attempt, signal);
+            } finally {
+                this._release();
+            }
+
+            if (delay === null) {
+                this._emit('failure', { operationId, method, attempt, status: failure?.response?.status, error: failure });
+                throw failure;
+            }
+
+            this._emit('retry', { operationId, method, attempt, delay, status: failure?.response?.status, error: failure });
+            await sleep(delay, signal);
+        }
+    }
+}
+
+module.exports = {
+    IDEMPOTENT_METHODS,
+    Resilience,
+    retryAfter,
+};
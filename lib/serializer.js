@@ -0,0 +1,212 @@
+// Swagger v2 collectionFormat as OpenAPI v3 style and explode
+const collectionFormats = {
+    csv: { style: 'form', explode: false },
+    ssv: { style: 'spaceDelimited', explode: false },
+    tsv: { style: 'tabDelimited', explode: false },
+    pipes: { style: 'pipeDelimited', explode: false },
+    multi: { style: 'form', explode: true },
+};
+
+const defaultStyles = {
+    path: 'simple',
+    query: 'form',
+    header: 'simple',
+    cookie: 'form',
+};
+
+const delimiters = {
+    form: ',',
+    simple: ',',
+    spaceDelimited: '%20',
+    tabDelimited: '%09',
+    pipeDelimited: '|',
+};
+
+/**
+ * Get the serialization style of every parameter
+ * @param {Object[]} parameters Operation parameters
+ * @returns {Object} Styles ({ in, style, explode, allowReserved }) keyed by "in" and parameter name
+ */
+const parameterStyles = (parameters) => {
+    const styles = {};
+
+    for (const parameter of parameters || []) {
+        const { name, in: at } = parameter;
+        if (!at || at == 'body' || at == 'formData') continue;
+
+        let style, explode;
+
+        if (parameter.schema === undefined && parameter.content === undefined) {
+            // Swagger v2, only query parameters support "multi"
+            const format = collectionFormats[parameter.collectionFormat || 'csv'] || collectionFormats.csv;
+            style = format.style == 'form' || at == 'header' ? defaultStyles[at] : format.style;
+            explode = at == 'query' ? format.explode : false;
+        } else {
+            style = parameter.style || defaultStyles[at];
+            explode = parameter.explode !== undefined ? parameter.explode : style == 'form';
+        }
+
+        if (!styles[at]) styles[at] = {};
+        styles[at][name] = { style, explode, allowReserved: parameter.allowReserved === true };
+    }
+
+    return styles;
+};
+
+const stringify = (value) => value instanceof Date ? value.toISOString() : String(value);
+
+const encode = (value, allowReserved) => {
+    const encoded = encodeURIComponent(stringify(value));
+    return allowReserved ? encoded.replace(/%(3A|2F|3F|23|5B|5D|40|21|24|26|27|28|29|2A|2B|2C|3B|3D)/gi, (m) => decodeURIComponent(m)) : encoded;
+};
+
+const isObject = (value) => value !== null && typeof value == 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const isEmpty = (value) => value === undefined || value === null;
+
+/**
+ * Serialize a path parameter (simple, label or matrix style)
+ * @param {string} name Parameter name
+ * @param {*} value Parameter value
+ * @param {Object} style Parameter style
+ * @returns {string} Serialized value
+ */
+const serializePathParameter = (name, value, style) => {
+    const { style: type = 'simple', explode = false, allowReserved = false } = style || {};
+    const e = (v) => encode(v, allowReserved);
+    const delimiter = delimiters[type] || ',';
+
+    if (isEmpty(value)) return '';
+
+    if (type == 'matrix') {
+        if (Array.isArray(value)) return explode ? value.map(v => `;${name}=${e(v)}`).join('') : `;${name}=${value.map(e).join(',')}`;
+        if (isObject(value)) {
+            const keys = Object.keys(value).filter(key => !isEmpty(value[key]));
+            return explode ? keys.map(key => `;${key}=${e(value[key])}`).join('') : `;${name}=${keys.map(key => `${key},${e(value[key])}`).join(',')}`;
+        }
+        return `;${name}=${e(value)}`;
+    }
+
+    const prefix = type == 'label' ? '.' : '';
+    const separator = type == 'label' && explode ? '.' : delimiter;
+
+    if (Array.isArray(value)) return `${prefix}${value.map(e).join(separator)}`;
+
+    if (isObject(value)) {
+        const keys = Object.keys(value).filter(key => !isEmpty(value[key]));
+        return `${prefix}${keys.map(key => explode ? `${key}=${e(value[key])}` : `${key},${e(value[key])}`).join(separator)}`;
+    }
+
+    return `${prefix}${e(value)}`;
+};
+
+/**
+ * Replace the path template parameters
+ * @param {string} path Path template
+ * @param {Object} params Path parameters
+ * @param {Object} styles Path parameter styles keyed by name
+ * @returns {string} Path
+ */
+const serializePath = (path, params, styles) => {
+    return path.replace(/{(.*?)}/g, (m, name) => serializePathParameter(name, params?.[name], styles?.[name]));
+};
+
+/**
+ * Serialize a query parameter to encoded key/value pairs
+ * @param {string} name Parameter name
+ * @param {*} value Parameter value
+ * @param {Object} style Parameter style
+ * @returns {string[][]} Encoded pairs
+ */
+const serializeQueryParameter = (name, value, style) => {
+    const { style: type = 'form', explode = type == 'form', allowReserved = false } = style || {};
+    const e = (v) => encode(v, allowReserved);
+    const n = encodeURIComponent(name);
+
+    if (isEmpty(value)) return [];
+
+    if (type == 'deepObject') {
+        const pairs = [];
+        const walk = (prefix, current) => {
+            if (isEmpty(current)) return;
+            if (Array.isArray(current)) return current.forEach(item => walk(`${prefix}[]`, item));
+            if (isObject(current)) return Object.keys(current).forEach(key => walk(`${prefix}[${encodeURIComponent(key)}]`, current[key]));
+            pairs.push([prefix, e(current)]);
+        };
+        walk(n, value);
+        return pairs;
+    }
+
+    if (Array.isArray(value)) {
+        if (explode) return value.filter(v => !isEmpty(v)).map(v => [n, e(v)]);
+        return [[n, value.map(e).join(delimiters[type] || ',')]];
+    }
+
+    if (isObject(value)) {
+        const keys = Object.keys(value).filter(key => !isEmpty(value[key]));
+        if (explode) return keys.map(key => [encodeURIComponent(key), e(value[key])]);
+        return [[n, keys.map(key => `${encodeURIComponent(key)},${e(value[key])}`).join(delimiters[type] || ',')]];
+    }
+
+    return [[n, e(value)]];
+};
+
+/**
+ * Serialize query parameters to a query string
+ * @param {Object} query Query parameters
+ * @param {Object} styles Query parameter styles keyed by name
+ * @returns {string} Query string (without "?")
+ */
+const serializeQuery = (query, styles) => {
+    const pairs = [];
+
+    for (const name in query || {}) {
+        pairs.push(...serializeQueryParameter(name, query[name], styles?.[name]));
+    }
+
+    return pairs.map(([key, value]) => `${key}=${value}`).join('&');
+};
+
+/**
+ * Serialize a header parameter (simple style)
+ * @param {*} value Parameter value
+ * @param {Object} style Parameter style
+ * @returns {string} Header value
+ */
+const serializeHeader = (value, style) => {
+    const explode = style?.explode || false;
+
+    if (Array.isArray(value)) return value.map(stringify).join(',');
+    if (isObject(value)) return Object.keys(value).map(key => explode ? `${key}=${stringify(value[key])}` : `${key},${stringify(value[key])}`).join(',');
+
+    return stringify(value);
+};
+
+/**
+ * Serialize a cookie parameter (form style)
+ * @param {string} name Parameter name
+ * @param {*} value Parameter value
+ * @param {Object} style Parameter style
+ * @returns {string} Cookie pair(s)
+ */
+const serializeCookie = (name, value, style) => {
+    const explode = style?.explode !== undefined ? style.explode : true;
+
+    if (Array.isArray(value)) return explode ? value.map(v => `${name}=${encode(v)}`).join('; ') : `${name}=${value.map(v => encode(v)).join(',')}`;
+    if (isObject(value)) {
+        const keys = Object.keys(value).filter(key => !isEmpty(value[key]));
+        return explode ? keys.map(key => `${key}=${encode(value[key])}`).join('; ') : `${name}=${keys.map(key => `${key},${encode(value[key])}`).join(',')}`;
+    }
+
+    return `${name}=${encode(value)}`;
+};
+
+module.exports = {
+    parameterStyles,
+    serializeCookie,
+    serializeHeader,
+    serializePath,
+    serializePathParameter,
+    serializeQuery,
+    serializeQueryParameter,
+};
@@ -0,0 +1,86 @@
+/**
+ * Pick a server from an OpenAPI v3 servers array
+ * @param {Object[]} servers Server objects
+ * @param {number|string} selection Server index or description
+ * @returns {Object|null} Server object
+ */
+const selectServer = (servers, selection) => {
+    if (!Array.isArray(servers) || servers.length == 0) return null;
+
+    if (selection === undefined || selection === null || selection === '') return servers[0];
+
+    if (typeof selection == 'number' || /^\d+$/.test(selection)) {
+        const server = servers[Number(selection)];
+        if (!server) throw new Error(`Server index ${selection} is out of range (${servers.length} servers)`);
+        return server;
+    }
+
+    const server = servers.find(server => server.description == selection || server.url == selection);
+    if (!server) throw new Error(`No server matches "${selection}"`);
+
+    return server;
+};
+
+/**
+ * Resolve a server URL, replacing server variables with their values or defaults
+ * @param {Object} server Server object
+ * @param {Object} variables Server variable values
+ * @param {string} base URL to resolve relative server URLs against
+ * @returns {string} URL
+ */
+const serverUrl = (server, variables, base) => {
+    const definitions = server?.variables || {};
+
+    const url = (server?.url || '').replace(/{(.*?)}/g, (m, name) => {
+        const definition = definitions[name];
+        const value = variables?.[name] !== undefined ? String(variables[name]) : definition?.default;
+
+        if (value === undefined) throw new Error(`Server variable "${name}" has no value`);
+        if (Array.isArray(definition?.enum) && !definition.enum.includes(value)) {
+            throw new Error(`Server variable "${name}" must be one of ${definition.enum.join(', ')}, got "${value}"`);
+        }
+
+        return value;
+    });
+
+    // Relative server URLs are relative to the document location
+    if (base && !/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) {
+        try {
+            return new URL(url, base).toString().replace(/\/$/, '');
+        } catch (error) {
+            return url;
+        }
+    }
+
+    return url;
+};
+
+/**
+ * Resolve the URL of the selected server
+ * @param {Object[]} servers Server objects
+ * @param {Object} options
+ * @param {number|string} options.server Server index or description
+ * @param {Object} options.serverVariables Server variable values
+ * @param {string} options.base URL to resolve relative server URLs against
+ * @param {boolean} options.fallback Use the first server if the selection doesn't match
+ * @returns {string|null} URL
+ */
+const resolveServer = (servers, options) => {
+    let server;
+
+    try {
+        server = selectServer(servers, options?.server);
+    } catch (error) {
+        // Path and operation servers don't have to contain the selected server
+        if (!options?.fallback) throw error;
+        server = servers[0];
+    }
+
+    return server ? serverUrl(server, options?.serverVariables, options?.base) : null;
+};
+
+module.exports = {
+    resolveServer,
+    selectServer,
+    serverUrl,
+};
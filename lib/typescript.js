@@ -0,0 +1,214 @@
+const { commentText } = require('./docs');
+
+// Globals and names used by the exported client that a schema must not shadow
+const reservedTypes = [
+    'Ajv', 'Array', 'Blob', 'Buffer', 'Client', 'Date', 'Error', 'FormData', 'Function', 'Map', 'Object', 'Promise',
+    'Record', 'Set', 'String', 'URLSearchParams', 'ValidationError',
+];
+
+/**
+ * Convert any string to a PascalCase TypeScript identifier
+ * @param {string} name Original name
+ * @returns {string} Type name
+ */
+const typeName = (name) => {
+    // The first letter is upper-cased, so names never clash with keywords
+    let result = String(name)
+        .replace(/[^A-Za-z0-9_$]+(.)?/g, (m, c) => c ? c.toUpperCase() : '')
+        .replace(/^./, (c) => c.toUpperCase());
+
+    if (!result) result = 'Anonymous';
+    if (/^[0-9]/.test(result)) result = `_${result}`;
+
+    return result;
+};
+
+/**
+ * Quote an object key if it's not a valid identifier
+ * @param {string} key Property key
+ * @returns {string} Property key usable in a type literal
+ */
+const propertyKey = (key) => /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? key : JSON.stringify(key);
+
+const literal = (value) => value === null ? 'null' : JSON.stringify(value);
+
+const union = (types) => {
+    const unique = [...new Set(types)];
+    if (unique.includes('any')) return 'any';
+    return unique.length > 1 ? unique.map(type => type.includes(' & ') ? `(${type})` : type).join(' | ') : unique[0];
+};
+
+class TypeGenerator {
+    /**
+     * Create a new TypeGenerator
+     * @param {Object} schemas Named schemas (components.schemas or definitions)
+     * @param {Object} options
+     * @param {Function} options.resolve Resolve a $ref that doesn't point to a named schema
+     * @param {string} options.fileType Type of "format: binary" strings
+     * @param {string[]} options.reserved Names a schema must not shadow, on top of the globals and the names of the exported client
+     */
+    constructor(schemas, options) {
+        this.schemas = schemas || {};
+        this.resolve = options?.resolve || null;
+        this.fileType = options?.fileType || 'Blob | Buffer | NodeJS.ReadableStream | { path: string; filename?: string; contentType?: string }';
+        this.resolving = new Set();
+        this.names = new Map();
+        this.refs = {};
+
+        const reserved = [...reservedTypes, ...(options?.reserved || [])];
+
+        // Dereferenced documents share the same object for the same $ref, so named schemas can be found by identity
+        for (const name in this.schemas) {
+            const schema = this.schemas[name];
+            let type = typeName(name);
+            if (reserved.includes(type)) type = `${type}Schema`;
+            this.refs[name] = type;
+            if (schema && typeof schema == 'object' && !this.names.has(schema)) this.names.set(schema, type);
+        }
+    }
+
+    /**
+     * Convert a JSON schema to a TypeScript type expression
+     * @param {Object} schema JSON schema
+     * @param {Object} options
+     * @param {boolean} options.root Don't resolve the schema itself to a named type
+     * @returns {string} TypeScript type
+     */
+    toType(schema, options) {
+        const root = options?.root || false;
+
+        if (!schema || typeof schema !== 'object' || Object.keys(schema).length == 0) return 'any';
+
+        if (!root && this.names.has(schema)) return this.names.get(schema);
+
+        if (schema.$ref) {
+            const match = schema.$ref.match(/^#\/(?:components\/schemas|definitions)\/([^/]+)$/);
+            const name = match ? match[1].replace(/~1/g, '/').replace(/~0/g, '~') : null;
+            if (name && this.refs[name]) return this.refs[name];
+
+            // Schemas bundled somewhere else in the document, recursive ones can't be expanded
+            if (this.resolve && !this.resolving.has(schema.$ref)) {
+                this.resolving.add(schema.$ref);
+                const type = this.toType(this.resolve(schema.$ref));
+                this.resolving.delete(schema.$ref);
+                return type;
+            }
+
+            return this.resolve ? 'any' : typeName(schema.$ref.split('/').pop());
+        }
+
+        let type = this._baseType(schema);
+
+        if (schema.nullable === true || schema['x-nullable'] === true) type = union([type, 'null']);
+
+        return type;
+    }
+
+    _baseType(schema) {
+        if (schema.const !== undefined) return literal(schema.const);
+
+        if (Array.isArray(schema.enum)) return union(schema.enum.map(literal));
+
+        if (Array.isArray(schema.oneOf) || Array.isArray(schema.anyOf)) {
+            return union((schema.oneOf || schema.anyOf).map(item => this.toType(item)));
+        }
+
+        if (Array.isArray(schema.allOf)) {
+            const types = schema.allOf.map(item => this.toType(item));
+            if (schema.properties) types.push(this._objectType(schema));
+            const unique = [...new Set(types)].filter(type => type != 'any');
+            if (unique.length == 0) return 'any';
+            return unique.map(type => type.includes(' | ') ? `(${type})` : type).join(' & ');
+        }
+
+        // OpenAPI 3.1 allows type arrays such as ["string", "null"]
+        if (Array.isArray(schema.type)) {
+            return union(schema.type.map(type => this._baseType({ ...schema, type })));
+        }
+
+        switch (schema.type) {
+            case 'string':
+                // Files are uploaded from Blobs, Buffers, streams or paths (see fileType)
+                return schema.format == 'binary' ? this.fileType : 'string';
+            case 'integer':
+            case 'number':
+                return 'number';
+            case 'boolean':
+                return 'boolean';
+            case 'null':
+                return 'null';
+            case 'array': {
+                const items = this.toType(schema.items);
+                return /[ |&]/.test(items) ? `Array<${items}>` : `${items}[]`;
+            }
+            case 'object':
+                return this._objectType(schema);
+            default:
+                if (schema.properties || schema.additionalProperties) return this._objectType(schema);
+                return 'any';
+        }
+    }
+
+    _objectType(schema) {
+        const required = schema.required || [];
+        const members = [];
+
+        for (const key in schema.properties || {}) {
+            const property = schema.properties[key];
+            const optional = required.includes(key) ? '' : '?';
+            const readonly = property?.readOnly ? 'readonly ' : '';
+
+            // Descriptions are shown by editors, deprecated properties are struck through
+            const text = [property?.deprecated ? '@deprecated' : '', property?.description ? commentText(property.description) : ''].filter(Boolean).join(' ');
+            if (text) members.push(`/** ${text} */`);
+
+            members.push(`${readonly}${propertyKey(key)}${optional}: ${this.toType(property)};`);
+        }
+
+        const { additionalProperties } = schema;
+
+        if (additionalProperties === true || (additionalProperties && typeof additionalProperties == 'object')) {
+            members.push(`[key: string]: ${additionalProperties === true ? 'any' : this.toType(additionalProperties)};`);
+        }
+
+        if (members.length == 0) return additionalProperties === false ? '{}' : 'Record<string, any>';
+
+        return `{\n${members.join('\n')}\n}`;
+    }
+
+    /**
+     * Declare a named type
+     * @param {string} name Type name
+     * @param {Object} schema JSON schema
+     * @returns {string} TypeScript declaration
+     */
+    declare(name, schema) {
+        // Alias named schemas instead of repeating them
+        if (this.names.has(schema) && this.names.get(schema) !== name) return `export type ${name} = ${this.names.get(schema)};`;
+
+        const type = this.toType(schema, { root: true });
+        const description = schema?.description ? `/** ${schema.description.replace(/\*\//g, '*\\/')} */\n` : '';
+
+        // Plain objects become interfaces, everything else a type alias
+        if (type.startsWith('{\n') && this._isPlainObject(schema)) return `${description}export interface ${name} ${type}`;
+
+        return `${description}export type ${name} = ${type};`;
+    }
+
+    _isPlainObject(schema) {
+        return schema && !schema.enum && !schema.oneOf && !schema.anyOf && !schema.allOf && !schema.nullable && !Array.isArray(schema.type);
+    }
+
+    /**
+     * Declare all named schemas
+     * @returns {string[]} TypeScript declarations
+     */
+    declareSchemas() {
+        return Object.keys(this.schemas).map(name => this.declare(this.refs[name], this.schemas[name]));
+    }
+}
+
+module.exports = {
+    TypeGenerator,
+    typeName,
+};
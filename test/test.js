@@ -1,4 +1,17 @@
+const Fs = require("fs");
+const Os = require("os");
+const Path = require("path");
+const http = require("http");
+const { execFile, spawn } = require("child_process");
+const { Readable } = require("stream");
+const axios = require("axios");
 const SwaggerClientBuilder = require("../index");
+const { mockResponse, sample } = require("../lib/mock");
+const { parseFilter } = require("../lib/filters");
+const { multipartEncoding } = require("../lib/multipart");
+const { Recorder } = require("../lib/recorder");
+const { Resilience, retryAfter } = require("../lib/resilience");
+const { parameterStyles, serializePath, serializeQuery } = require("../lib/serializer");
 
 const Client = new SwaggerClientBuilder('https://petstore3.swagger.io/api/v3/openapi.json', {
     baseURL: 'https://petstore3.swagger.io/api/v3'
@@ -46,3 +59,1749 @@ describe("Requests Testing", () => {
         expect(output).toHaveProperty('code');
     })
 });
+
+describe("TypeScript Export", () => {
+    const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'));
+
+    test('Should declare component schemas', async () => {
+        await Client.build();
+
+        const { code } = await Client.export(null, { ts: true, target: 'bash' });
+
+        expect(code).toContain('export interface Pet {');
+        expect(code).toContain('export type Payment = Card | Transfer;');
+        expect(code).toContain('export type NamedPet = Pet & {');
+        expect(code).toMatch(/status \? : "available" \| "pending" \| "sold";/);
+        expect(code).toMatch(/note \? : string \| null;/);
+        expect(code).toContain('[key: string]: string;');
+        expect(code).toContain('export interface ErrorSchema {');
+    });
+
+    test('Should declare operation types', async () => {
+        await Client.build();
+
+        const { code } = await Client.export(null, { ts: true, target: 'bash' });
+
+        expect(code).toContain('export interface GetPetByIdParams {');
+        expect(code).toContain('export type GetPetByIdResponse = Pet;');
+        expect(code).toContain('export type FindPetsByStatusResponse = Pet[];');
+        expect(code).toContain('export type AddPetBody = Pet;');
+        expect(code).toMatch(/params: GetPetByIdParams;/);
+        expect(code).toMatch(/Promise < AxiosResponse < GetPetByIdResponse >>/);
+    });
+});
+
+describe("Header and Cookie Parameters", () => {
+    const requests = [];
+
+    const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'), {
+        baseURL: 'http://localhost',
+        adapter: async (config) => {
+            requests.push(config);
+            return { data: {}, status: 200, statusText: 'OK', headers: {}, config };
+        },
+    });
+
+    test('Should send header and cookie parameters', async () => {
+        await Client.build();
+
+        await Client.deletePet({
+            params: { petId: 1 },
+            headers: { api_key: 'secret' },
+            cookies: { session: 'a b' },
+        });
+
+        const { headers } = requests.pop();
+
+        expect(headers['api_key']).toBe('secret');
+        expect(headers['Cookie']).toBe('session=a%20b');
+    });
+
+    test('Should throw validation error for missing required header', async () => {
+        await Client.build();
+
+        await expect(Client.deletePet({
+            params: { petId: 1 },
+        })).rejects.toThrowError("must have required property 'api_key'");
+    });
+
+    test('Should export header and cookie arguments', async () => {
+        await Client.build();
+
+        const { code } = await Client.export(null, { ts: true, validation: true, target: 'bash' });
+
+        expect(code).toContain('export interface DeletePetHeaders {');
+        expect(code).toContain('headers: DeletePetHeaders;');
+        expect(code).toContain('options.headers = convertHeaders(headers, cookies, options.headers, styles);');
+    });
+});
+
+describe("Authentication", () => {
+    const requests = [];
+    let tokens = 0;
+
+    const adapter = async (config) => {
+        requests.push(config);
+
+        if (config.url.endsWith('/oauth/token')) {
+            tokens++;
+            return { data: { access_token: `token-${tokens}`, expires_in: 3600 }, status: 200, statusText: 'OK', headers: {}, config };
+        }
+
+        return { data: [], status: 200, statusText: 'OK', headers: {}, config };
+    };
+
+    test('Should attach an api key', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'), {
+            baseURL: 'http://localhost',
+            adapter,
+            credentials: { api_key: 'secret' },
+        });
+
+        await Client.build();
+        await Client.getPetById({ params: { petId: 1 } });
+
+        expect(requests.pop().headers['api_key']).toBe('secret');
+    });
+
+    test('Should attach basic authorization', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'), {
+            baseURL: 'http://localhost',
+            adapter,
+            credentials: { basic_auth: { username: 'user', password: 'pass' } },
+        });
+
+        await Client.build();
+        await Client.placeOrder({ body: {} });
+
+        expect(requests.pop().headers['Authorization']).toBe(`Basic ${Buffer.from('user:pass').toString('base64')}`);
+    });
+
+    test('Should request and cache an OAuth2 client credentials token', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'), {
+            baseURL: 'http://localhost',
+            adapter,
+            credentials: { petstore_auth: { clientId: 'id', clientSecret: 'secret' } },
+        });
+
+        await Client.build();
+        Client.authenticator.http = adapter;
+
+        await Client.findPetsByStatus({ query: { status: 'sold' } });
+        await Client.findPetsByStatus({ query: { status: 'sold' } });
+
+        expect(tokens).toBe(1);
+        expect(requests.pop().headers['Authorization']).toBe('Bearer token-1');
+    });
+
+    test('Should refresh an expired token and fall back to the flow grant when the refresh fails', async () => {
+        const grants = [];
+
+        // Tokens expire within the refresh margin, the refresh token is rejected
+        const http = async (config) => {
+            const data = new URLSearchParams(config.data);
+            grants.push(data.get('grant_type'));
+
+            if (data.get('grant_type') == 'refresh_token') {
+                throw Object.assign(new Error('Request failed with status code 400'), { response: { status: 400, data: { error: 'invalid_grant' } } });
+            }
+
+            const refresh_token = grants.length == 1 ? 'refresh' : undefined;
+            return { data: { access_token: `token-${grants.length}`, refresh_token, expires_in: 1 }, status: 200 };
+        };
+
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'), {
+            baseURL: 'http://localhost',
+            adapter,
+            credentials: { petstore_auth: { clientId: 'id', clientSecret: 'secret' } },
+        });
+
+        await Client.build();
+        Client.authenticator.http = http;
+
+        await Client.findPetsByStatus({ query: { status: 'sold' } });
+        await Client.findPetsByStatus({ query: { status: 'sold' } });
+
+        expect(grants).toEqual(['client_credentials', 'refresh_token', 'client_credentials']);
+        expect(requests.pop().headers['Authorization']).toBe('Bearer token-3');
+
+        // The rejected refresh token isn't sent again
+        await Client.findPetsByStatus({ query: { status: 'sold' } });
+
+        expect(grants).toEqual(['client_credentials', 'refresh_token', 'client_credentials', 'client_credentials']);
+    });
+
+    test('Should only attach the schemes the operation requires', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'), {
+            baseURL: 'http://localhost',
+            adapter,
+            credentials: { api_key: 'secret', basic_auth: { username: 'user', password: 'pass' } },
+        });
+
+        await Client.build();
+        await Client.addPet({ body: { name: 'doggie', photoUrls: [] } });
+
+        const { headers } = requests.pop();
+
+        expect(headers['api_key']).toBeUndefined();
+        expect(headers['Authorization']).toBeUndefined();
+    });
+
+    test('Should export the authenticator', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'));
+
+        await Client.build();
+
+        const { code } = await Client.export(null, { target: 'bash' });
+
+        expect(code).toContain('class Authenticator {');
+        expect(code).toContain('this.authenticator.intercept(this.instance);');
+    });
+});
+
+describe("Servers", () => {
+    const requests = [];
+
+    const adapter = async (config) => {
+        requests.push(config);
+        return { data: {}, status: 200, statusText: 'OK', headers: {}, config };
+    };
+
+    test('Should use the first server with default variables', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'), { adapter });
+
+        await Client.build();
+        await Client.getPetById({ params: { petId: 1 } });
+
+        expect(Client.options.baseURL).toBe('https://api.petstore.io/api/v3');
+        expect(requests.pop().baseURL).toBe('https://api.petstore.io/api/v3');
+    });
+
+    test('Should select a server by description or index', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'), { adapter, server: 'Local' });
+        await Client.build();
+        expect(Client.options.baseURL).toBe('http://localhost:8080/api/v3');
+
+        const Other = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'), { adapter, server: 0, serverVariables: { environment: 'staging' } });
+        await Other.build();
+        expect(Other.options.baseURL).toBe('https://staging.petstore.io/api/v3');
+    });
+
+    test('Should reject server variables outside their enum', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'), { adapter, serverVariables: { environment: 'dev' } });
+
+        await expect(Client.build()).rejects.toThrowError('Server variable "environment" must be one of api, staging, got "dev"');
+    });
+
+    test('Should use path servers', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'), { adapter });
+
+        await Client.build();
+        await Client.placeOrder({ body: {} });
+
+        expect(requests.pop().baseURL).toBe('https://orders.petstore.io/v1');
+    });
+
+    test('Should export servers', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'));
+
+        await Client.build();
+
+        const { code } = await Client.export(null, { target: 'bash', server: 'Local' });
+
+        expect(code).toContain('const resolveServer = (servers, selection, variables, fallback) => {');
+        expect(code).toContain('this.server = server ?? "Local";');
+        expect(code).toContain('baseURL: resolveServer([{');
+    });
+});
+
+describe("Parameter Serialization", () => {
+    const requests = [];
+
+    const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'), {
+        baseURL: 'http://localhost',
+        adapter: async (config) => {
+            requests.push(config);
+            return { data: [], status: 200, statusText: 'OK', headers: {}, config };
+        },
+    });
+
+    test('Should serialize query parameters by style', async () => {
+        await Client.build();
+
+        await Client.findPetsByTags({
+            query: {
+                tags: ['a', 'b c'],
+                filter: { name: 'doggie', category: 'dogs' },
+                sort: ['name', 'id'],
+            },
+        });
+
+        expect(requests.pop().url).toBe('/pet/findByTags?tags=a,b%20c&filter[name]=doggie&filter[category]=dogs&sort=name|id');
+    });
+
+    test('Should encode path parameters', async () => {
+        await Client.build();
+
+        await Client.deletePet({ params: { petId: 1 }, headers: { api_key: 'a' } });
+
+        expect(requests.pop().url).toBe('/pet/1');
+    });
+
+    test('Should serialize label and matrix path styles', () => {
+        expect(serializePath('/pet/{id}', { id: [3, 4] }, { id: { style: 'label', explode: true } })).toBe('/pet/.3.4');
+        expect(serializePath('/pet/{id}', { id: { role: 'admin' } }, { id: { style: 'matrix', explode: true } })).toBe('/pet/;role=admin');
+        expect(serializePath('/pet/{id}', { id: 'a/b' }, {})).toBe('/pet/a%2Fb');
+    });
+
+    test('Should map Swagger v2 collectionFormat', () => {
+        const styles = parameterStyles([
+            { name: 'ids', in: 'query', type: 'array', collectionFormat: 'multi' },
+            { name: 'tags', in: 'query', type: 'array', collectionFormat: 'ssv' },
+        ]);
+
+        expect(serializeQuery({ ids: [1, 2], tags: ['a', 'b'] }, styles.query)).toBe('ids=1&ids=2&tags=a%20b');
+    });
+});
+
+describe("Response Validation", () => {
+    const responses = [];
+
+    const adapter = async (config) => {
+        const { status, data } = responses.shift();
+        const response = { data, status, statusText: '', headers: { 'content-type': 'application/json' }, config };
+
+        if (status >= 400) {
+            const error = new Error(`Request failed with status code ${status}`);
+            error.response = response;
+            error.config = config;
+            throw error;
+        }
+
+        return response;
+    };
+
+    test('Should reject non-2xx responses with an ApiError', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'), { baseURL: 'http://localhost', adapter });
+
+        await Client.build();
+
+        responses.push({ status: 404, data: { code: 404, message: 'Pet not found' } });
+
+        const error = await Client.getPetById({ params: { petId: 1 } }).catch(error => error);
+
+        expect(error).toBeInstanceOf(SwaggerClientBuilder.ApiError);
+        expect(error.status).toBe(404);
+        expect(error.operationId).toBe('getPetById');
+        expect(error.body).toEqual({ code: 404, message: 'Pet not found' });
+        expect(error.validationErrors).toBeNull();
+    });
+
+    test('Should report error bodies that don\'t match the error schema', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'), { baseURL: 'http://localhost', adapter });
+
+        await Client.build();
+
+        responses.push({ status: 404, data: { error: 'Pet not found' } });
+
+        const error = await Client.getPetById({ params: { petId: 1 } }).catch(error => error);
+
+        expect(error).toBeInstanceOf(SwaggerClientBuilder.ApiError);
+        expect(error.validationErrors.length).toBeGreaterThan(0);
+    });
+
+    test('Should validate response bodies', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'), { baseURL: 'http://localhost', adapter, responseValidation: true });
+
+        await Client.build();
+
+        responses.push({ status: 200, data: { id: 1, name: 'doggie', photoUrls: [] } });
+        const response = await Client.getPetById({ params: { petId: 1 } });
+        expect(response.data.name).toBe('doggie');
+
+        responses.push({ status: 200, data: { id: 1 } });
+        await expect(Client.getPetById({ params: { petId: 1 } })).rejects.toBeInstanceOf(SwaggerClientBuilder.ResponseValidationError);
+    });
+
+    test('Should export response validation', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'));
+
+        await Client.build();
+
+        const { code } = await Client.export(null, { validation: true, target: 'bash' });
+
+        expect(code).toContain('class ApiError extends Error {');
+        expect(code).toContain('throw new ApiError(error.response, "getPetById", client.validateResponse(responses, error.response, "json"));');
+        expect(code).toContain('if (client.responseValidation) {');
+    });
+});
+
+describe("Tag Namespaces", () => {
+    const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'), {
+        baseURL: 'http://localhost',
+        adapter: async (config) => ({ data: {}, status: 200, statusText: 'OK', headers: {}, config }),
+    });
+
+    test('Should group operations by tag', async () => {
+        await Client.build();
+
+        expect(typeof Client.pet.getPetById).toBe('function');
+        expect(typeof Client.store.placeOrder).toBe('function');
+
+        const response = await Client.pet.getPetById({ params: { petId: 1 } });
+        expect(response.status).toBe(200);
+    });
+
+    test('Should export a module per tag', async () => {
+        await Client.build();
+
+        const { files } = await Client.export(null, { split: true, validation: true, target: 'bash' });
+
+        expect(Object.keys(files)).toEqual(['runtime.js', 'pet.js', 'store.js', 'index.js']);
+        expect(files['runtime.js']).toContain('module.exports = {');
+        expect(files['pet.js']).toContain('class PetApi {');
+        expect(files['pet.js']).toContain('async getPetById(args = {}) {');
+        expect(files['pet.js']).not.toContain('async placeOrder({');
+        expect(files['index.js']).toContain('this.pet = new PetApi(this);');
+    });
+
+    test('Should export types module for TypeScript', async () => {
+        await Client.build();
+
+        const { files } = await Client.export(null, { split: true, ts: true, target: 'bash' });
+
+        expect(files['types.ts']).toContain('export interface Pet {');
+        expect(files['pet.ts']).toContain('from "./types";');
+    });
+});
+
+describe("Mock Mode", () => {
+    test('Should generate data from schemas', () => {
+        expect(sample({
+            type: 'object',
+            required: ['id', 'email'],
+            properties: {
+                id: { type: 'integer', minimum: 5 },
+                email: { type: 'string', format: 'email' },
+                status: { type: 'string', enum: ['active', 'inactive'] },
+                code: { type: 'string', minLength: 8 },
+                tags: { type: 'array', items: { type: 'string' }, minItems: 2 },
+            },
+        })).toEqual({ id: 5, email: 'user@example.com', status: 'active', code: 'stringxx', tags: ['string', 'string'] });
+
+        expect(sample({ type: 'object', required: ['id'], properties: { id: { type: 'integer' }, name: { type: 'string' } } }, { optional: false })).toEqual({ id: 0 });
+    });
+
+    test('Should prefer examples', () => {
+        expect(mockResponse({
+            responses: {
+                '404': { description: 'Not found' },
+                '201': { content: { 'application/json': { schema: { type: 'object' }, examples: { created: { value: { id: 1 } } } } } },
+            },
+        })).toEqual({ status: 201, contentType: 'application/json', data: { id: 1 } });
+    });
+
+    test('Should answer requests without network', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'), { mock: true });
+
+        await Client.build();
+
+        const response = await Client.getPetById({ params: { petId: 1 } });
+        expect(response.status).toBe(200);
+        expect(response.data.name).toBe('doggie');
+        expect(response.data.status).toBe('available');
+
+        await expect(Client.deletePet({ params: { petId: 1 } })).rejects.toBeInstanceOf(SwaggerClientBuilder.ValidationError);
+    });
+
+    test('Should serve mock responses', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'));
+
+        await Client.build();
+
+        const server = Client.mockServer();
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const url = `http://127.0.0.1:${server.address().port}`;
+
+            const response = await axios.get(`${url}/pet/findByTags?tags=a,b&sort=name|id`);
+            expect(response.status).toBe(200);
+            expect(response.data[0].name).toBe('doggie');
+
+            const error = await axios.get(`${url}/pet/abc`).catch(error => error.response);
+            expect(error.status).toBe(400);
+            expect(error.data.errors[0].in).toBe('path');
+
+            const missing = await axios.get(`${url}/unknown`).catch(error => error.response);
+            expect(missing.status).toBe(404);
+        } finally {
+            server.close();
+        }
+    });
+
+    test('Should export mock responses', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'));
+
+        await Client.build();
+
+        const { code } = await Client.export(null, { mock: true, target: 'bash' });
+
+        expect(code).toContain('const mockAdapter = async (config) => {');
+        expect(code).toContain('if (mock) config.adapter = mockAdapter;');
+        expect(code).toContain('"name": "doggie"');
+    });
+
+    test('Should call operations without arguments', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'), { mock: true });
+
+        await Client.build();
+
+        expect((await Client.findPetsByStatus()).status).toBe(200);
+
+        const { code } = await Client.export(null, { mock: true, validation: true, target: 'bash' });
+
+        const module = { exports: {} };
+        new Function('module', 'exports', 'require', code)(module, module.exports, require);
+
+        expect((await new module.exports({ mock: true }).findPetsByStatus()).status).toBe(200);
+    });
+});
+
+describe("Validator Compilation", () => {
+    test('Should compile validators once per operation', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'), {
+            baseURL: 'http://localhost',
+            adapter: async (config) => ({ data: {}, status: 200, statusText: 'OK', headers: {}, config }),
+        });
+
+        await Client.build();
+
+        const compile = jest.spyOn(Client.validator, 'compile');
+
+        await Client.getPetById({ params: { petId: 1 } });
+        await Client.getPetById({ params: { petId: 2 } });
+        await expect(Client.getPetById({ params: { petId: 'x' } })).rejects.toBeInstanceOf(SwaggerClientBuilder.ValidationError);
+
+        expect(compile).not.toHaveBeenCalled();
+    });
+
+    test('Should compile mock server validators once per route', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'));
+
+        await Client.build();
+
+        const createValidator = Client._createValidator.bind(Client);
+        let validator = null;
+        jest.spyOn(Client, '_createValidator').mockImplementation(options => validator = createValidator(options));
+
+        const routes = Client._routes();
+        const compile = jest.spyOn(validator, 'compile');
+        const getPetById = routes.find(route => route.operation.operationId == 'getPetById');
+        const addPet = routes.find(route => route.operation.operationId == 'addPet');
+
+        for (const petId of ['1', '2', 'x']) getPetById.validate({ params: { petId }, query: {}, headers: {}, cookies: {} });
+        expect(getPetById.validate({ params: { petId: 'x' }, query: {}, headers: {}, cookies: {} })[0].instancePath).toBe('/petId');
+        expect(addPet.validate({ params: {}, query: {}, headers: {}, cookies: {}, body: { name: 'rex', photoUrls: [] }, contentType: 'application/json' })).toBeNull();
+        expect(addPet.validate({ params: {}, query: {}, headers: {}, cookies: {}, body: {}, contentType: 'application/json' })).not.toBeNull();
+
+        expect(compile).not.toHaveBeenCalled();
+    });
+
+    test('Should compile exported validators in the constructor', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'));
+
+        await Client.build();
+
+        const { code } = await Client.export(null, { validation: true, target: 'bash' });
+
+        expect(code).toContain('this.validators = {');
+        expect(code).toContain('if (!validators.params(params)) throw new ValidationError(validators.params.errors);');
+        expect(code).not.toContain('client.validator.compile');
+    });
+
+    test('Should export standalone validators without Ajv', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'));
+
+        await Client.build();
+
+        const { code, dependencies } = await Client.export(null, { standalone: true, target: 'bash' });
+
+        expect(dependencies.map(dependency => dependency.path)).not.toContain('ajv');
+        expect(code).not.toMatch(/require\("ajv/);
+        expect(code).toContain('params: standaloneValidators["getPetById_params"],');
+        expect(code).toContain('if (!validators.params(params)) throw new ValidationError(validators.params.errors);');
+    });
+});
+
+describe("Schema References", () => {
+    const responses = [];
+
+    const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'tree.json'), {
+        responseValidation: true,
+        adapter: async (config) => ({ ...responses.shift(), statusText: 'OK', headers: { 'content-type': 'application/json' }, config }),
+    });
+
+    test('Should validate recursive schemas', async () => {
+        await Client.build();
+
+        responses.push({ status: 200, data: { name: 'root' } });
+        const response = await Client.addNode({ body: { name: 'root', children: [{ name: 'child', children: [{ name: 'leaf' }] }] } });
+        expect(response.status).toBe(200);
+
+        await expect(Client.addNode({ body: { name: 'root', children: [{ children: [] }] } })).rejects.toBeInstanceOf(SwaggerClientBuilder.ValidationError);
+
+        responses.push({ status: 200, data: { text: 'text', author: { name: 'user' }, replies: [{ text: 'reply', author: {} }] } });
+        await expect(Client.getComment({ params: { id: 1 } })).rejects.toBeInstanceOf(SwaggerClientBuilder.ResponseValidationError);
+    });
+
+    test('Should mock recursive schemas', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'tree.json'), { mock: true });
+
+        await Client.build();
+
+        const response = await Client.getComment({ params: { id: 1 } });
+        expect(response.data).toEqual({ text: 'string', author: { name: 'string' }, replies: [] });
+    });
+
+    test('Should export schemas once and reference them', async () => {
+        await Client.build();
+
+        const { code } = await Client.export(null, { validation: true, ts: true, target: 'bash' });
+
+        expect(code).toContain('for (const id in schemas) this.validator.addSchema(schemas[id], id);');
+        expect(code).toContain('"$ref": "Node"');
+        expect(code.match(/"text": {/g)).toHaveLength(1);
+        expect(code).toContain('export interface Node {');
+        expect(code).toContain('export type GetNodeResponse = Node;');
+    });
+});
+
+describe("Operation Names", () => {
+    const adapter = async (config) => ({ status: 200, statusText: 'OK', headers: {}, data: { url: config.url, method: config.method }, config });
+
+    test('Should name operations without a valid operationId', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'naming.json'), { adapter });
+
+        await Client.build();
+
+        expect(typeof Client.build).toBe('function');
+        expect((await Client.buildOperation({})).data.method).toBe('post');
+        expect((await Client.getUserById({ params: { id: 1 } })).data.url).toBe('/users/1');
+
+        // The operationId wins, the synthesized name gets a suffix
+        expect((await Client.getUsers({ params: { id: 1 } })).data.method).toBe('delete');
+        expect((await Client.getUsers2({})).data.url).toBe('/users');
+    });
+
+    test('Should name operations with the operationName hook', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'naming.json'), {
+            adapter,
+            operationName: (method, path, operation) => operation.operationId ? null : `list ${path}`,
+        });
+
+        await Client.build();
+
+        expect((await Client.listUsers({})).data.url).toBe('/users');
+        expect(typeof Client.buildOperation).toBe('function');
+    });
+
+    test('Should export synthesized names', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'naming.json'));
+
+        await Client.build();
+
+        const { code } = await Client.export(null, { ts: true, target: 'bash' });
+
+        expect(code).toContain('async getUserById(');
+        expect(code).toContain('async getUsers2(');
+        expect(code).toContain('export type BuildOperationResponse');
+        expect(code).not.toContain('get-user.by-id(');
+    });
+});
+
+describe("Response Decoding", () => {
+    const bodies = {
+        '/pets/1': ['application/xml', '<pet><id>1</id><name>Rex</name></pet>'],
+        '/pets/2': ['application/json', '{"message":"Not found"}', 404],
+        '/notes': ['text/plain; charset=utf-8', 'Hello'],
+        '/files/a.bin': ['application/octet-stream', Buffer.from([0, 1, 2])],
+        '/events': ['application/x-ndjson', '{"type":"a"}\n{"type"', ':"b"}\n\n{"type":"c"}'],
+    };
+
+    // Answers like axios does for the requested responseType
+    const adapter = async (config) => {
+        const [contentType, ...chunks] = bodies[config.url];
+        const status = typeof chunks[chunks.length - 1] == 'number' ? chunks.pop() : 200;
+        const raw = Buffer.concat(chunks.map(chunk => Buffer.from(chunk)));
+
+        const data = config.responseType == 'stream' ? Readable.from(chunks.map(chunk => Buffer.from(chunk)))
+            : config.responseType == 'arraybuffer' ? raw
+            : config.responseType == 'text' ? raw.toString()
+            : /json/.test(contentType) ? JSON.parse(raw.toString()) : raw.toString();
+
+        const response = { status, statusText: '', headers: { 'content-type': contentType }, data, config };
+        if (status >= 400) throw new axios.AxiosError('Request failed', 'ERR_BAD_RESPONSE', config, null, response);
+
+        return response;
+    };
+
+    const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'content.json'), { adapter, responseValidation: true });
+
+    test('Should decode responses by content type', async () => {
+        await Client.build();
+
+        const pet = await Client.getPetXml({ params: { id: 1 } });
+        expect(pet.config.responseType).toBe('text');
+        expect(pet.data).toEqual({ id: '1', name: 'Rex' });
+
+        const notes = await Client.getNotes({});
+        expect(notes.data).toBe('Hello');
+
+        const file = await Client.downloadFile({ params: { name: 'a.bin' } });
+        expect(file.config.responseType).toBe('arraybuffer');
+        expect(Buffer.isBuffer(file.data)).toBe(true);
+        expect([...file.data]).toEqual([0, 1, 2]);
+    });
+
+    test('Should iterate newline delimited JSON', async () => {
+        await Client.build();
+
+        const response = await Client.streamEvents({});
+        expect(response.config.responseType).toBe('stream');
+
+        const events = [];
+        for await (const event of response.data) events.push(event.type);
+        expect(events).toEqual(['a', 'b', 'c']);
+    });
+
+    test('Should keep the responseType of the caller', async () => {
+        await Client.build();
+
+        const response = await Client.downloadFile({ params: { name: 'a.bin' }, options: { responseType: 'stream' } });
+        expect(typeof response.data.pipe).toBe('function');
+
+        // Error bodies are decoded by their own content type
+        const error = await Client.getPetXml({ params: { id: 2 } }).catch(error => error);
+        expect(error).toBeInstanceOf(SwaggerClientBuilder.ApiError);
+        expect(error.body).toEqual({ message: 'Not found' });
+        expect(error.validationErrors).toBeNull();
+    });
+
+    test('Should export response decoding', async () => {
+        await Client.build();
+
+        const { code } = await Client.export(null, { ts: true, target: 'bash', validation: true });
+
+        expect(code).toContain('import xml2js from "xml2js";');
+        expect(code).toContain('responseType: "arraybuffer"');
+        expect(code).toContain('await decodeResponse(response, "ndjson");');
+        expect(code).toContain('xml2js.parseStringPromise(data');
+    });
+});
+
+describe("Multipart Uploads", () => {
+    // Answers with the raw request body
+    const server = http.createServer((request, response) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => {
+            response.setHeader('content-type', 'application/json');
+            response.end(JSON.stringify({ contentType: request.headers['content-type'], body: Buffer.concat(chunks).toString() }));
+        });
+    });
+
+    beforeAll(() => new Promise(resolve => server.listen(0, '127.0.0.1', resolve)));
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    test('Should send files and parts according to the encoding', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'content.json'), { baseURL: `http://127.0.0.1:${server.address().port}` });
+
+        await Client.build();
+
+        const progress = [];
+        const { data } = await Client.uploadDocument({
+            body: {
+                title: 'Report',
+                file: Buffer.from('%PDF'),
+                attachments: [{ path: Path.join(__dirname, 'fixtures', 'tree.json') }, new Blob(['notes'], { type: 'text/plain' })],
+                metadata: { author: 'me' },
+                tags: ['a', 'b'],
+            },
+            options: { onUploadProgress: event => progress.push(event.loaded) },
+        });
+
+        expect(data.contentType).toMatch(/^multipart\/form-data; boundary=/);
+        expect(data.body).toContain('Content-Disposition: form-data; name="title"\r\n\r\nReport');
+        expect(data.body).toContain('Content-Disposition: form-data; name="file"; filename="file"\r\nContent-Type: application/pdf\r\nX-Document-Kind: report\r\n\r\n%PDF');
+        expect(data.body).toContain('name="attachments"; filename="tree.json"\r\nContent-Type: application/json');
+        expect(data.body).toContain('name="attachments"; filename="attachments"\r\nContent-Type: text/plain\r\n\r\nnotes');
+        expect(data.body).toContain('name="metadata"\r\nContent-Type: application/json\r\n\r\n{"author":"me"}');
+        expect(data.body.match(/name="tags"/g)).toHaveLength(2);
+        expect(progress.length).toBeGreaterThan(0);
+    });
+
+    test('Should validate files as binary strings', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'content.json'), { baseURL: `http://127.0.0.1:${server.address().port}` });
+
+        await Client.build();
+
+        await expect(Client.uploadDocument({ body: { file: Buffer.from('%PDF') } })).rejects.toThrowError("must have required property 'title'");
+    });
+
+    test('Should join Swagger v2 form arrays by collectionFormat', () => {
+        const encoding = multipartEncoding({
+            parameters: [
+                { name: 'file', in: 'formData', type: 'file' },
+                { name: 'tags', in: 'formData', type: 'array', items: { type: 'string' }, collectionFormat: 'pipes' },
+                { name: 'ids', in: 'formData', type: 'array', items: { type: 'string' }, collectionFormat: 'multi' },
+            ],
+        });
+
+        expect(encoding).toEqual({ tags: { delimiter: '|' } });
+    });
+
+    test('Should export multipart bodies', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'content.json'));
+
+        await Client.build();
+
+        const { code } = await Client.export(null, { ts: true, target: 'bash', validation: true });
+
+        expect(code).toContain('if (!validators.requestBody(multipartValues(body)))');
+        expect(code).toContain('data: await multipartBody(body, {');
+        expect(code).toContain('import FormData from "form-data";');
+    });
+});
+
+describe("Command Line", () => {
+    const cli = (...args) => new Promise(resolve => {
+        execFile(process.execPath, [Path.join(__dirname, '..', 'index.js'), ...args], { timeout: 30000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+
+    const input = Path.join(__dirname, 'fixtures', 'petstore.json');
+    const Client = new SwaggerClientBuilder(input);
+    let server, url;
+
+    beforeAll(async () => {
+        await Client.build();
+        server = Client.mockServer();
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    test('Should list operations', async () => {
+        const { code, stdout } = await cli('list', '-i', input);
+
+        expect(code).toBe(0);
+        expect(stdout).toMatch(/^operation\s+method\s+path\s+summary\s+required\n/);
+        expect(stdout).toMatch(/deletePet\s+DELETE\s+\/pet\/{petId}\s+Deletes a pet\s+petId \(path\), api_key \(header\)/);
+
+        const filtered = await cli('list', '-i', input, '--include', 'tag:pet', '--exclude', 'method:delete');
+        expect(filtered.stdout).toContain('getPetById');
+        expect(filtered.stdout).not.toContain('deletePet');
+        expect(filtered.stdout).not.toContain('placeOrder');
+    });
+
+    test('Should call operations with coerced arguments', async () => {
+        const json = await cli('call', '-i', input, 'getPetById', '--param', 'petId=1', '--base-url', url);
+        expect(json.code).toBe(0);
+        expect(json.stderr).toContain('200');
+        expect(JSON.parse(json.stdout).name).toBe('doggie');
+
+        const yaml = await cli('call', '-i', input, 'addPet', '--body', '{"name":"rex","photoUrls":[]}', '--base-url', url, '--format', 'yaml', '-s');
+        expect(yaml.stderr).toBe('');
+        expect(yaml.stdout).toContain('category:\n  id: 0\n  name: string\nphotoUrls:\n  - string\n');
+    });
+
+    test('Should fail on invalid arguments and error responses', async () => {
+        const invalid = await cli('call', '-i', input, 'getPetById', '--param', 'petId=abc', '--base-url', url);
+        expect(invalid.code).toBe(1);
+        expect(invalid.stderr).toContain('/petId must be integer, got "string"');
+
+        const format = await cli('call', '-i', input, 'addPet', '--body', '{"name":"rex","photoUrls":[]}', '--base-url', url, '--format', 'xml');
+        expect(format.code).toBe(1);
+        expect(format.stderr).toContain('Output format must be json, yaml or table, got "xml"');
+        expect(format.stderr).not.toContain('200');
+
+        const missing = await cli('call', '-i', input, 'getPetById', '--param', 'petId=1', '--base-url', `${url}/unknown`);
+        expect(missing.code).toBe(1);
+        expect(missing.stderr).toContain('getPetById failed with status 404');
+        expect(JSON.parse(missing.stdout).message).toBeDefined();
+    });
+
+    test('Should report a mock server port in use', async () => {
+        const { port } = server.address();
+        const { code, stderr } = await cli('mock', '-i', input, '--port', String(port));
+
+        expect(code).toBe(1);
+        expect(stderr).toContain(`Mock server can't listen on port ${port}: the port is in use`);
+    });
+
+    test('Should exit with code 1 on breaking changes', async () => {
+        const same = await cli('diff', '-i', input, '-n', input);
+        expect(same.code).toBe(0);
+        expect(same.stdout).toBe('No changes\n');
+
+        const next = await cli('diff', '-i', input, '-n', Path.join(__dirname, 'fixtures', 'petstore-next.json'), '--format', 'json');
+        expect(next.code).toBe(1);
+        expect(JSON.parse(next.stdout).breaking).toBe(true);
+    });
+});
+
+describe("Breaking Changes", () => {
+    test('Should classify operation and schema changes', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'));
+
+        const { breaking, changes } = await Client.diff(Path.join(__dirname, 'fixtures', 'petstore-next.json'));
+        const find = (type, location) => changes.find(change => change.type == type && (location === undefined || change.location == location));
+
+        expect(breaking).toBe(true);
+        expect(find('operation-removed').operation).toBe('POST /store/order (placeOrder)');
+        expect(find('operation-renamed').message).toBe('renamed to searchPetsByTags');
+        expect(find('parameter-required', 'query parameter "status"').breaking).toBe(true);
+        expect(find('enum-narrowed').message).toBe('enum values removed: "sold"');
+        expect(find('type-changed', 'response 200 application/json.id').breaking).toBe(true);
+        expect(find('property-removed', 'response 200 application/json.tags').breaking).toBe(true);
+        expect(find('schema-removed').location).toBe('NamedPet');
+
+        // Requests may send less, responses may return more
+        expect(find('property-removed', 'body application/json.tags').breaking).toBe(false);
+        expect(find('operation-added').breaking).toBe(false);
+        expect(find('schema-added').breaking).toBe(false);
+    });
+
+    test('Should compare recursive schemas', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'tree.json'));
+        const Other = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'tree.json'));
+
+        await Other.build();
+        Other.api.components.schemas.Node.properties.name = { type: 'integer' };
+
+        const { changes } = await Client.diff(Other);
+
+        // Node references itself, its children aren't compared again
+        expect(changes.map(change => `${change.operation} ${change.location}`)).toEqual([
+            'POST /nodes (addNode) body application/json.name',
+            'POST /nodes (addNode) response 200 application/json.name',
+            'GET /nodes/{id} (getNode) response 200 application/json.name',
+        ]);
+    });
+});
+
+describe("Project Config", () => {
+    const input = Path.join(__dirname, 'fixtures', 'petstore.json');
+    let directory;
+
+    beforeAll(() => {
+        directory = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'swagger-client-builder-'));
+    });
+
+    afterAll(() => Fs.rmSync(directory, { recursive: true, force: true }));
+
+    test('Should filter operations by tag, path glob, operationId and method', async () => {
+        const Client = new SwaggerClientBuilder(input, {
+            include: { paths: ['/pet/**'], operations: ['placeOrder'] },
+            exclude: { methods: ['DELETE'], operations: ['findPetsByTags'] },
+        });
+
+        await Client.build();
+        expect(Client._operationList().map(item => item.operation)).toEqual(['findPetsByStatus', 'getPetById', 'placeOrder']);
+        expect(Client.deletePet).toBeUndefined();
+
+        const Store = new SwaggerClientBuilder(input, { include: { tags: ['store'] } });
+
+        await Store.build();
+        const { code } = await Store.export(null, { target: 'bash' });
+        expect(code).toContain('async placeOrder(');
+        expect(code).not.toContain('async addPet(');
+    });
+
+    test('Should export every spec of the config and check the files on disk', async () => {
+        const config = Path.join(directory, 'swagger-client-builder.config.json');
+        Fs.writeFileSync(config, JSON.stringify({
+            ts: true,
+            specs: [
+                { name: 'pets', input, output: 'clients/pets.ts', baseURL: 'http://localhost:8080/v3', include: { tags: ['pet'] } },
+                { name: 'store', input, output: 'clients/store', split: true, ts: false, include: { tags: ['store'] } },
+            ],
+        }));
+
+        const cli = (...args) => new Promise(resolve => {
+            execFile(process.execPath, [Path.join(__dirname, '..', 'index.js'), ...args], { cwd: directory, timeout: 30000 }, (error, stdout, stderr) => {
+                resolve({ code: error ? error.code : 0, stdout, stderr });
+            });
+        });
+
+        const missing = await cli('--check');
+        expect(missing.code).toBe(1);
+        expect(missing.stderr).toContain(Path.join(directory, 'clients', 'pets.ts'));
+
+        const exported = await cli();
+        expect(exported.code).toBe(0);
+        expect(Fs.readFileSync(Path.join(directory, 'clients', 'pets.ts'), 'utf8')).toContain('if (!config.baseURL) config.baseURL = "http://localhost:8080/v3";');
+        expect(Fs.readdirSync(Path.join(directory, 'clients', 'store')).sort()).toEqual(['index.js', 'runtime.js', 'store.js']);
+
+        expect((await cli('--check')).code).toBe(0);
+
+        Fs.appendFileSync(Path.join(directory, 'clients', 'store', 'store.js'), '\n');
+        const stale = await cli('--check', '-c', config);
+        expect(stale.code).toBe(1);
+        expect(stale.stderr).toContain(`store: ${Path.join(directory, 'clients', 'store', 'store.js')} is outdated`);
+    });
+
+    test('Should export again when a document or the config changes', async () => {
+        const watched = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'swagger-client-builder-watch-'));
+        const spec = JSON.parse(Fs.readFileSync(Path.join(__dirname, 'fixtures', 'deprecated.json'), 'utf8'));
+        spec.components.schemas.Theme = { $ref: './theme.json' };
+
+        const config = (options) => Fs.writeFileSync(Path.join(watched, 'swagger-client-builder.config.json'), JSON.stringify({ specs: [{ name: 'widgets', input: './widgets.json', output: 'clients/widgets.js', ...options }] }));
+        Fs.writeFileSync(Path.join(watched, 'widgets.json'), JSON.stringify(spec));
+        Fs.writeFileSync(Path.join(watched, 'theme.json'), JSON.stringify({ type: 'string' }));
+        config({});
+
+        const child = spawn(process.execPath, [Path.join(__dirname, '..', 'index.js'), '--watch'], { cwd: watched });
+        let stdout = '';
+        child.stdout.on('data', chunk => stdout += chunk);
+
+        const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+        const exports = () => stdout.split('widgets exported to').length - 1;
+        const exported = async (count) => {
+            for (const start = Date.now(); exports() < count || !stdout.includes('Watching'); await sleep(50)) {
+                if (Date.now() - start > 10000) throw new Error(`Expected ${count} exports, got: ${stdout}`);
+            }
+
+            // Watchers are set up again after an export
+            await sleep(200);
+        };
+        const output = () => Fs.readFileSync(Path.join(watched, 'clients', 'widgets.js'), 'utf8');
+
+        try {
+            await exported(1);
+
+            Fs.writeFileSync(Path.join(watched, 'notes.txt'), 'Unrelated');
+            await sleep(500);
+            expect(exports()).toBe(1);
+
+            spec.paths['/widgets'].get.summary = 'List every widget';
+            Fs.writeFileSync(Path.join(watched, 'widgets.json'), JSON.stringify(spec));
+            await exported(2);
+            expect(output()).toContain('List every widget');
+
+            Fs.writeFileSync(Path.join(watched, 'theme.json'), JSON.stringify({ type: 'string', enum: ['light', 'dark'] }));
+            await exported(3);
+
+            config({ className: 'Widgets' });
+            await exported(4);
+            expect(output()).toContain('class Widgets {');
+            expect(exports()).toBe(4);
+        } finally {
+            child.kill();
+            Fs.rmSync(watched, { recursive: true, force: true });
+        }
+    }, 30000);
+
+    test('Should list the referenced files of the document', async () => {
+        const spec = JSON.parse(Fs.readFileSync(input, 'utf8'));
+        spec.components.schemas.Category = { $ref: './category.json' };
+
+        Fs.writeFileSync(Path.join(directory, 'category.json'), JSON.stringify({ type: 'object', properties: { name: { type: 'string' } } }));
+        Fs.writeFileSync(Path.join(directory, 'petstore.json'), JSON.stringify(spec));
+
+        const Client = new SwaggerClientBuilder(Path.join(directory, 'petstore.json'));
+
+        await Client.build();
+        expect(Client.documentFiles.sort()).toEqual([Path.join(directory, 'category.json'), Path.join(directory, 'petstore.json')]);
+    });
+});
+
+describe("Fetch Runtime", () => {
+    // Load a CommonJS export without dependencies
+    const load = (code) => {
+        const module = { exports: {} };
+        new Function('module', 'exports', code)(module, module.exports);
+
+        return module.exports;
+    };
+
+    test('Should export a client without dependencies', async () => {
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'content.json'));
+
+        await Client.build();
+
+        const { code, dependencies } = await Client.export(null, { target: 'bash', ts: true, standalone: true, runtime: 'fetch' });
+
+        expect(dependencies).toEqual([]);
+        expect(code).not.toMatch(/^import /m);
+        expect(code).toContain('this.instance = createInstance(config);');
+        expect(code).toContain('options ? : RequestOptions');
+        expect(code).toContain('Promise < ApiResponse < DownloadFileResponse >>');
+        expect(code).toContain('file: Blob | ArrayBuffer | ArrayBufferView;');
+
+        await expect(Client.export(null, { target: 'bash', runtime: 'xhr' })).rejects.toThrowError('Runtime must be axios or fetch, got "xhr"');
+    });
+
+    test('Should send requests with the injected fetch', async () => {
+        const Builder = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'));
+
+        await Builder.build();
+
+        const Client = load((await Builder.export(null, { target: 'bash', standalone: true, runtime: 'fetch' })).code);
+        const requests = [];
+        const fetch = async (url, init) => {
+            requests.push({ url, init });
+            const status = url.endsWith('/pet/2') ? 404 : 200;
+            return new Response(JSON.stringify(status == 404 ? { message: 'Not found' } : { id: 1, name: 'doggie', photoUrls: [] }), { status, headers: { 'content-type': 'application/json' } });
+        };
+
+        const client = new Client({ baseURL: 'http://localhost/v3/', fetch, credentials: { api_key: 'secret' } });
+
+        const response = await client.addPet({ body: { name: 'doggie', photoUrls: [] } });
+        expect(response.status).toBe(200);
+        expect(response.data.name).toBe('doggie');
+        expect(response.headers['content-type']).toBe('application/json');
+        expect(requests[0].url).toBe('http://localhost/v3/pet');
+        expect(requests[0].init.method).toBe('POST');
+        expect(requests[0].init.headers['content-type']).toBe('application/json');
+        expect(requests[0].init.body).toBe('{"name":"doggie","photoUrls":[]}');
+
+        await client.getPetById({ params: { petId: 1 } });
+        expect(requests[1].init.headers.api_key).toBe('secret');
+        expect(requests[1].init.body).toBeUndefined();
+
+        await expect(client.getPetById({ params: { petId: 'abc' } })).rejects.toThrowError(Client.ValidationError);
+        expect(requests).toHaveLength(2);
+
+        const error = await client.getPetById({ params: { petId: 2 } }).catch(error => error);
+        expect(error).toBeInstanceOf(Client.ApiError);
+        expect(error.status).toBe(404);
+        expect(error.body).toEqual({ message: 'Not found' });
+    });
+
+    test('Should decode responses and abort requests', async () => {
+        const Builder = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'content.json'));
+
+        await Builder.build();
+
+        const Client = load((await Builder.export(null, { target: 'bash', runtime: 'fetch' })).code);
+        const fetch = async (url, init) => {
+            if (url.endsWith('/notes')) {
+                // Answers once aborted
+                return new Promise((resolve, reject) => init.signal.addEventListener('abort', () => reject(init.signal.reason)));
+            }
+
+            if (url.endsWith('/files/a.bin')) return new Response(new Uint8Array([0, 1, 2]), { headers: { 'content-type': 'application/octet-stream' } });
+
+            return new Response(new ReadableStream({
+                start(controller) {
+                    for (const chunk of ['{"type":"a"}\n{"ty', 'pe":"b"}\n']) controller.enqueue(new TextEncoder().encode(chunk));
+                    controller.close();
+                },
+            }), { headers: { 'content-type': 'application/x-ndjson' } });
+        };
+
+        const client = new Client({ fetch });
+
+        const file = await client.downloadFile({ params: { name: 'a.bin' } });
+        expect(file.data).toBeInstanceOf(Uint8Array);
+        expect([...file.data]).toEqual([0, 1, 2]);
+
+        const events = [];
+        for await (const event of (await client.streamEvents({})).data) events.push(event.type);
+        expect(events).toEqual(['a', 'b']);
+
+        await expect(client.getNotes({ options: { timeout: 10 } })).rejects.toThrowError('timeout of 10ms exceeded');
+
+        const controller = new AbortController();
+        const pending = client.getNotes({ options: { signal: controller.signal } });
+        controller.abort(new Error('Cancelled'));
+        await expect(pending).rejects.toThrowError('Cancelled');
+    });
+});
+
+describe("Retries and Rate Limits", () => {
+    // Answers with the queued statuses, then 200
+    const failing = (statuses, requests, headers = {}) => async (config) => {
+        requests.push(config);
+        const status = statuses.shift() || 200;
+        const response = { data: status == 200 ? { id: 1, name: 'doggie', photoUrls: [] } : {}, status, statusText: '', headers: { 'content-type': 'application/json', ...headers }, config };
+
+        if (status >= 300) throw Object.assign(new Error(`Request failed with status code ${status}`), { response, config });
+        return response;
+    };
+
+    test('Should retry idempotent requests and honour Retry-After', async () => {
+        const requests = [], statuses = [503, 429];
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'), {
+            baseURL: 'http://localhost',
+            adapter: failing(statuses, requests, { 'retry-after': '0' }),
+            resilience: { retry: { retries: 2, minDelay: 1 } },
+        });
+
+        await Client.build();
+
+        const events = [];
+        for (const event of ['request', 'response', 'retry', 'failure']) Client.on(event, data => events.push(`${event}:${data.attempt}`));
+
+        const response = await Client.getPetById({ params: { petId: 1 } });
+        expect(response.status).toBe(200);
+        expect(requests).toHaveLength(3);
+        expect(events).toEqual(['request:1', 'retry:1', 'request:2', 'retry:2', 'request:3', 'response:3']);
+
+        // POST isn't idempotent, it fails right away
+        requests.length = 0;
+        statuses.push(503);
+        await expect(Client.addPet({ body: { name: 'doggie', photoUrls: [] } })).rejects.toThrowError(SwaggerClientBuilder.ApiError);
+        expect(requests).toHaveLength(1);
+        expect(events.pop()).toBe('failure:1');
+
+        expect(retryAfter('2')).toBe(2000);
+        expect(retryAfter(new Date(Date.now() + 60000).toUTCString())).toBeGreaterThan(50000);
+        expect(retryAfter('soon')).toBeNull();
+    });
+
+    test('Should resolve policies per tag and operation', () => {
+        const resilience = new Resilience({
+            retry: 2,
+            timeout: 5000,
+            tags: { store: { retry: false, timeout: 1000 } },
+            operations: { addPet: { retry: { methods: ['post'] } }, getPetById: { timeout: 200 } },
+        });
+
+        expect(resilience.policy({ operationId: 'findPetsByStatus', tag: 'pet' })).toMatchObject({ retry: { retries: 2, methods: ['get', 'put', 'delete', 'head'] }, timeout: 5000 });
+        expect(resilience.policy({ operationId: 'placeOrder', tag: 'store' })).toMatchObject({ retry: { retries: 0 }, timeout: 1000 });
+        expect(resilience.policy({ operationId: 'addPet', tag: 'pet' })).toMatchObject({ retry: { retries: 2, methods: ['post'] }, timeout: 5000 });
+        expect(resilience.policy({ operationId: 'getPetById', tag: 'pet' }).timeout).toBe(200);
+        expect(new Resilience().policy({ operationId: 'addPet', tag: 'pet' }).retry.retries).toBe(0);
+        expect(() => resilience.on('done', () => null)).toThrowError('Unknown event "done"');
+    });
+
+    test('Should limit concurrency and retry exported clients', async () => {
+        const Builder = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'));
+
+        await Builder.build();
+
+        const module = { exports: {} };
+        new Function('module', 'exports', (await Builder.export(null, { target: 'bash', standalone: true, runtime: 'fetch' })).code)(module, module.exports);
+        const Client = module.exports;
+
+        let active = 0, peak = 0, calls = 0;
+        const fetch = async (url, init) => {
+            const status = ++calls == 1 ? 502 : 200;
+            peak = Math.max(peak, ++active);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            active--;
+
+            return new Response(JSON.stringify({ id: 1, name: 'doggie', photoUrls: [] }), { status, headers: { 'content-type': 'application/json' } });
+        };
+
+        const client = new Client({ baseURL: 'http://localhost', fetch, resilience: { retry: { minDelay: 1 }, limiter: { concurrency: 2 } } });
+        const retries = [];
+        client.on('retry', data => retries.push(data));
+
+        const responses = await Promise.all([1, 2, 3, 4].map(petId => client.getPetById({ params: { petId } })));
+        expect(responses.map(response => response.status)).toEqual([200, 200, 200, 200]);
+        expect(calls).toBe(5);
+        expect(peak).toBe(2);
+        expect(retries).toHaveLength(1);
+        expect(retries[0]).toMatchObject({ operationId: 'getPetById', method: 'get', attempt: 1, status: 502 });
+
+        // Aborted while waiting for a retry
+        const controller = new AbortController();
+        calls = 0;
+        const limited = new Client({ baseURL: 'http://localhost', fetch, resilience: { retry: { minDelay: 1000 } } });
+        const pending = limited.getPetById({ params: { petId: 1 }, options: { signal: controller.signal } });
+        setTimeout(() => controller.abort(new Error('Cancelled')), 20);
+        await expect(pending).rejects.toThrowError('Cancelled');
+        expect(calls).toBe(1);
+    });
+});
+
+describe("Pagination", () => {
+    const pets = [1, 2, 3, 4, 5].map(id => ({ id, name: `pet${id}` }));
+    const orders = { '': ['a', 'b'], b: ['c'], c: [] };
+    const users = ['ann', 'bob', 'cid'];
+
+    // Serves the pages of every style
+    const page = (url) => {
+        const { pathname, searchParams } = new URL(url);
+        const number = Number(searchParams.get('page')), limit = Number(searchParams.get('limit')), offset = Number(searchParams.get('offset'));
+
+        if (pathname == '/v1/pets') return { data: pets.slice((number - 1) * limit, number * limit) };
+        if (pathname == '/v1/users') return { data: { result: { users: users.slice(offset, offset + 2) } } };
+
+        if (pathname == '/v1/orders') {
+            const cursor = searchParams.get('cursor') || '';
+            return { data: { orders: orders[cursor].map(id => ({ id })), meta: { next: orders[cursor].at(-1) || null } } };
+        }
+
+        const next = Number(searchParams.get('after') || 0) + 1;
+        return { data: [`event${next}`], headers: next < 3 ? { link: `</v1/events?after=${next}>; rel="next", </v1/events>; rel="first"` } : {} };
+    };
+
+    test('Should iterate pages, cursors and offsets', async () => {
+        const requests = [];
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'pagination.json'), {
+            pagination: { listUsers: { style: 'offset', items: 'result.users' } },
+            adapter: async (config) => {
+                requests.push(config.url);
+                return { status: 200, statusText: 'OK', headers: {}, config, ...page(`${config.baseURL}${config.url}`) };
+            },
+        });
+
+        await Client.build();
+
+        const names = [];
+        for await (const pet of Client.listPetsPaginated()) names.push(pet.name);
+        expect(names).toEqual(['pet1', 'pet2', 'pet3', 'pet4', 'pet5']);
+        expect(requests).toEqual(['/pets?limit=2&page=1', '/pets?limit=2&page=2', '/pets?limit=2&page=3', '/pets?limit=2&page=4']);
+
+        // Stops requesting pages once it has enough items
+        requests.length = 0;
+        expect(await Client.pet.listPetsPaginated({ query: { page: 2 }, maxItems: 3 }).all()).toEqual([pets[2], pets[3], pets[4]]);
+        expect(requests).toHaveLength(2);
+
+        // The last page has no next cursor
+        requests.length = 0;
+        expect(await Client.listOrdersPaginated().all()).toEqual([{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+        expect(requests).toEqual(['/orders', '/orders?cursor=b', '/orders?cursor=c']);
+
+        expect(await Client.listUsersPaginated().all()).toEqual(users);
+        expect(Client.paginations.listUsers).toMatchObject({ style: 'offset', offsetParam: 'offset', items: 'result.users' });
+    });
+
+    test('Should follow Link headers in exported clients', async () => {
+        const Builder = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'pagination.json'), { pagination: { listPets: false } });
+
+        await Builder.build();
+
+        const { code } = await Builder.export(null, { target: 'bash', standalone: true, runtime: 'fetch' });
+        expect(code).toContain('listEventsPaginated(args = {}) {');
+        expect(code).not.toContain('listPetsPaginated');
+
+        const module = { exports: {} };
+        new Function('module', 'exports', code)(module, module.exports);
+        const Client = module.exports;
+
+        const requests = [];
+        const fetch = async (url) => {
+            requests.push(url);
+            const { data, headers } = page(url);
+            return new Response(JSON.stringify(data), { headers: { 'content-type': 'application/json', ...headers } });
+        };
+
+        const client = new Client({ fetch });
+
+        expect(await client.listEventsPaginated().all()).toEqual(['event1', 'event2', 'event3']);
+        expect(requests).toEqual(['http://localhost/v1/events', 'http://localhost/v1/events?after=1', 'http://localhost/v1/events?after=2']);
+        expect(await client.listOrdersPaginated({ maxItems: 1 }).all()).toEqual([{ id: 'a' }]);
+    });
+
+    test('Should reject invalid paginations', async () => {
+        const Invalid = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'pagination.json'), { pagination: { listPets: { style: 'pages' } } });
+        await expect(Invalid.build()).rejects.toThrowError('Pagination of listPets: style must be page, offset, cursor, link, got "pages"');
+
+        const Taken = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'pagination.json'), { operationName: (method, path, operation) => operation.operationId == 'listEvents' ? 'listPetsPaginated' : null });
+        await expect(Taken.build()).rejects.toThrowError("Can't add listPetsPaginated for the pagination of listPets, the name is taken");
+
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'pagination.json'), {
+            adapter: async (config) => ({ status: 200, statusText: 'OK', headers: {}, config, data: { total: 0 } }),
+        });
+
+        await Client.build();
+        await expect(Client.listOrdersPaginated().all()).rejects.toThrowError('listOrders returned a page without an items array at "orders"');
+    });
+});
+
+describe("Recorder", () => {
+    const pet = { id: 1, name: 'doggie', photoUrls: [] };
+
+    test('Should record responses and replay them offline', async () => {
+        const dir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'cassettes-'));
+        const requests = [];
+
+        const Recording = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'), {
+            baseURL: 'http://localhost',
+            credentials: { api_key: 'secret' },
+            recorder: { mode: 'record', dir, redact: ['api_key'] },
+            adapter: async (config) => {
+                requests.push(config.url);
+                const response = { status: 200, statusText: 'OK', headers: { 'content-type': 'application/json' }, config, data: pet };
+                if (config.url == '/pet/2') throw Object.assign(new Error('Not found'), { response: { ...response, status: 404, statusText: 'Not Found', data: { message: 'Not found' } } });
+
+                return response;
+            },
+        });
+
+        await Recording.build();
+
+        await Recording.getPetById({ params: { petId: 1 } });
+        await expect(Recording.getPetById({ params: { petId: 2 } })).rejects.toThrowError(SwaggerClientBuilder.ApiError);
+        await Recording.findPetsByStatus({ query: { status: 'available' } });
+        await Recording.findPetsByStatus({ query: { status: 'available' } });
+
+        const cassette = JSON.parse(Fs.readFileSync(Path.join(dir, 'getPetById.json'), 'utf8'));
+        expect(cassette).toHaveLength(2);
+        expect(cassette[0].request).toMatchObject({ method: 'get', operationId: 'getPetById', path: '/pet/{petId}', params: { petId: 1 }, query: {}, body: {} });
+        expect(cassette[0].request.headers.api_key).toBe('[REDACTED]');
+        expect(cassette[0].response).toMatchObject({ status: 200, data: pet });
+
+        // The same request is recorded once
+        expect(JSON.parse(Fs.readFileSync(Path.join(dir, 'findPetsByStatus.json'), 'utf8'))).toHaveLength(1);
+
+        const Replay = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'), { baseURL: 'http://localhost', recorder: { mode: 'replay', dir } });
+
+        await Replay.build();
+
+        expect((await Replay.getPetById({ params: { petId: 1 } })).data).toEqual(pet);
+        expect(await Replay.getPetById({ params: { petId: 2 } }).catch(error => error.status)).toBe(404);
+        expect(requests).toHaveLength(4);
+
+        const error = await Replay.getPetById({ params: { petId: 3 } }).catch(error => error);
+        expect(error).toBeInstanceOf(SwaggerClientBuilder.RecordingNotFoundError);
+        expect(error.message).toBe(`No recorded response for getPetById (GET /pet/{petId}) with params {"petId":3}, query {} and body {} in ${Path.join(dir, 'getPetById.json')} (2 recorded)`);
+
+        Fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('Should record and replay exported clients', async () => {
+        const dir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'cassettes-'));
+        const Builder = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'content.json'));
+
+        await Builder.build();
+
+        const { code, dependencies } = await Builder.export(null, { target: 'bash', recorder: true, runtime: 'fetch' });
+        expect(dependencies.map(dependency => dependency.path)).toEqual(['fs', 'path']);
+
+        const module = { exports: {} };
+        new Function('module', 'exports', 'require', code)(module, module.exports, require);
+        const Client = module.exports;
+
+        const inits = [];
+        const fetch = async (url, init) => inits.push(init) && new Response(url.endsWith('/files/a.bin') ? new Uint8Array([0, 1, 255]) : '{"type":"a"}\n{"type":"b"}\n', {
+            headers: { 'content-type': url.endsWith('/files/a.bin') ? 'application/octet-stream' : 'application/x-ndjson', 'set-cookie': 'session=1' },
+        });
+
+        const recording = new Client({ fetch, recorder: { mode: 'record', dir } });
+        await recording.downloadFile({ params: { name: 'a.bin' } });
+        await recording.streamEvents({});
+
+        // Builder options aren't fetch options
+        expect(inits.flatMap(Object.keys).filter(key => ['recording', 'operationId', 'validateStatus'].includes(key))).toEqual([]);
+
+        const replay = new Client({ fetch: async () => { throw new Error('Offline'); }, recorder: { mode: 'replay', dir } });
+
+        expect([...(await replay.downloadFile({ params: { name: 'a.bin' } })).data]).toEqual([0, 1, 255]);
+
+        const events = [];
+        for await (const event of (await replay.streamEvents({})).data) events.push(event.type);
+        expect(events).toEqual(['a', 'b']);
+
+        const cassette = JSON.parse(Fs.readFileSync(Path.join(dir, 'downloadFile.json'), 'utf8'));
+        expect(cassette[0].response).toMatchObject({ data: 'AAH/', encoding: 'base64', headers: { 'set-cookie': '[REDACTED]' } });
+
+        await expect(replay.downloadFile({ params: { name: 'b.bin' } })).rejects.toThrowError(Client.RecordingNotFoundError);
+
+        Fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('Should redact the apiKeys of the security schemes', async () => {
+        const dir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'cassettes-'));
+
+        const Recording = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'petstore.json'), {
+            baseURL: 'http://localhost',
+            credentials: { api_key: 'secret' },
+            recorder: { mode: 'record', dir },
+            adapter: async (config) => ({ status: 200, statusText: 'OK', headers: {}, config, data: pet }),
+        });
+
+        await Recording.build();
+        await Recording.getPetById({ params: { petId: 1 } });
+
+        expect(JSON.parse(Fs.readFileSync(Path.join(dir, 'getPetById.json'), 'utf8'))[0].request.headers.api_key).toBe('[REDACTED]');
+
+        // Query and cookie apiKeys, replayed requests match with their values redacted
+        const recorder = new Recorder({ mode: 'record', dir, redact: [] });
+        recorder.secure({ key: { type: 'apiKey', in: 'query', name: 'key' }, session: { type: 'apiKey', in: 'cookie', name: 'session' } });
+
+        const recording = { operationId: 'listPets', path: '/pets', params: {}, query: { key: 'secret', limit: 1 }, body: null };
+        const config = { method: 'get', url: '/pets', headers: { Cookie: 'theme=dark; session=secret' }, recording };
+
+        await recorder.record({ status: 200, headers: { 'set-cookie': ['session=secret; Path=/'] }, config, data: [pet] });
+
+        const [{ request, response }] = JSON.parse(Fs.readFileSync(Path.join(dir, 'listPets.json'), 'utf8'));
+        expect(request.query).toEqual({ key: '[REDACTED]', limit: 1 });
+        expect(request.headers.Cookie).toBe('theme=dark; session=[REDACTED]');
+        expect(response.headers['set-cookie']).toEqual(['session=[REDACTED]; Path=/']);
+
+        const replay = new Recorder({ mode: 'replay', dir });
+        replay.secure({ key: { type: 'apiKey', in: 'query', name: 'key' } });
+
+        expect((await replay.adapter()({ method: 'get', url: '/pets', recording: { ...recording, query: { key: 'other', limit: 1 } } })).data).toEqual([pet]);
+
+        Fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('Should reject invalid recorder options', async () => {
+        expect(() => new SwaggerClientBuilder('petstore.json', { recorder: { mode: 'play', dir: 'cassettes' } })).toThrowError('Recorder mode must be record or replay, got "play"');
+        expect(() => new SwaggerClientBuilder('petstore.json', { recorder: { mode: 'replay' } })).toThrowError('Recorder dir is required');
+    });
+});
+
+describe("Filtering and Deprecation", () => {
+    const input = Path.join(__dirname, 'fixtures', 'deprecated.json');
+
+    test('Should filter exported operations', async () => {
+        const Client = new SwaggerClientBuilder(input, { exclude: { tags: ['admin'] } });
+
+        await Client.build();
+
+        const { code } = await Client.export(null, { target: 'bash', include: { paths: ['/widgets/*'] } });
+        expect(code).toContain('async getWidget(');
+        expect(code).not.toContain('async listWidgets(');
+        expect(code).not.toContain('async deleteWidget(');
+        expect((await Client.export(null, { target: 'bash', deprecated: 'omit' })).code).not.toContain('getWidget');
+
+        expect(parseFilter(['tag:pet', 'path:/store/**', 'tag:store'], 'Include')).toEqual({ tags: ['pet', 'store'], paths: ['/store/**'] });
+        expect(() => parseFilter('pet', 'Include')).toThrowError('Include must be tag:<tag>, path:<glob>, operation:<name> or method:<method>, got "pet"');
+        await expect(Client.export(null, { target: 'bash', deprecated: 'hide' })).rejects.toThrowError('Deprecated must be warn or omit, got "hide"');
+    });
+
+    test('Should filter operations by their method names', async () => {
+        // GET /users has no operationId, it's named getUsers2 since DELETE /users/{id} is getUsers
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'naming.json'), { include: { operations: ['getUsers2', 'getUsers'] } });
+
+        await Client.build();
+
+        expect(Client.operationNames).toEqual({ '/users': { get: 'getUsers2' }, '/users/{id}': { delete: 'getUsers' } });
+
+        const { code } = await Client.export(null, { target: 'bash', exclude: { operations: ['getUsers2'] } });
+        expect(code).toContain('async getUsers(');
+        expect(code).not.toContain('async getUsers2(');
+    });
+
+    test('Should filter operations by their operationIds', async () => {
+        // get-user.by-id is named getUserById, build is renamed buildOperation
+        const Client = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'naming.json'), { include: { operations: ['get-user.by-id', 'build'] } });
+
+        await Client.build();
+
+        expect(Client.operationNames).toEqual({ '/users': { post: 'buildOperation' }, '/users/{id}': { get: 'getUserById' } });
+
+        const { code } = await Client.export(null, { target: 'bash', exclude: { operations: ['get-user.by-id'] } });
+        expect(code).toContain('async buildOperation(');
+        expect(code).not.toContain('async getUserById(');
+
+        const Misspelled = new SwaggerClientBuilder(Path.join(__dirname, 'fixtures', 'naming.json'), { include: { operations: ['getUserByID', 'build'] } });
+        await expect(Misspelled.build()).rejects.toThrowError('The include filter operations "getUserByID" match no operation');
+        await expect(Client.export(null, { target: 'bash', exclude: { operations: ['getUsers'] } })).rejects.toThrowError('The exclude filter operations "getUsers" match no operation');
+    });
+
+    test('Should warn once about deprecated operations', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => null);
+
+        try {
+            const Client = new SwaggerClientBuilder(input, { mock: true });
+
+            await Client.build();
+            await Client.getWidget({ params: { id: 1 } });
+            await Client.widget.getWidget({ params: { id: 2 } });
+            await Client.listWidgets({});
+
+            const module = { exports: {} };
+            new Function('module', 'exports', (await Client.export(null, { target: 'bash', runtime: 'fetch', mock: true })).code)(module, module.exports);
+            const exported = new module.exports({ mock: true });
+
+            await exported.getWidget({ params: { id: 1 } });
+            await exported.getWidget({ params: { id: 2 } });
+
+            expect(warn.mock.calls).toEqual([['getWidget (GET /widgets/{id}) is deprecated'], ['getWidget (GET /widgets/{id}) is deprecated']]);
+
+            const Omitted = new SwaggerClientBuilder(input, { deprecated: 'omit' });
+
+            await Omitted.build();
+            expect(Omitted.getWidget).toBeUndefined();
+            expect(Omitted.listWidgets).toBeDefined();
+        } finally {
+            warn.mockRestore();
+        }
+    });
+
+    test('Should document exported methods and types', async () => {
+        const Client = new SwaggerClientBuilder(input);
+
+        await Client.build();
+
+        const { code } = await Client.export(null, { target: 'bash', ts: true });
+        expect(code).toContain('* GET /widgets (List widgets)\n     *\n     * Widgets are sorted by name.\n     * Archived widgets aren\'t listed.\n');
+        expect(code).toContain('* @param {number} [args.query.limit=20] Maximum number of widgets\n');
+        expect(code).toContain('* @param {string} [args.headers["X-Request-Id"]] Correlation id\n');
+        expect(code).toContain('* @param {Object} args.body Widget to create\n');
+        expect(code).toContain('* GET /widgets/{id} (Find a widget)\n     * @deprecated\n');
+        expect(code).toContain('* @param {number} args.params.id ID of the widget\n');
+        expect(code).toContain('* @param {boolean} [args.query.expand] (deprecated) Expanded relations\n');
+        expect(code).toContain('/** Display name, unique *\\/ per account */\n    name: string;');
+        expect(code).toContain('/** @deprecated Use theme instead */\n    color ? : string;');
+    });
+});
+
+describe("Custom Templates", () => {
+    const input = Path.join(__dirname, 'fixtures', 'petstore.json');
+    const templates = Path.join(__dirname, 'fixtures', 'templates');
+
+    // Load a CommonJS export
+    const load = (code) => {
+        const module = { exports: {} };
+        new Function('module', 'exports', 'require', code)(module, module.exports, require);
+
+        return module.exports;
+    };
+
+    test('Should render a custom template with partials, class name and view data', async () => {
+        const Client = new SwaggerClientBuilder(input, { include: { tags: ['store'] } });
+
+        await Client.build();
+
+        const { code } = await Client.export(null, {
+            target: 'bash',
+            runtime: 'fetch',
+            template: Path.join(templates, 'template.mustache'),
+            partials: templates,
+            className: 'Store',
+            view: { apiVersion: '1.0.7' },
+        });
+
+        const { Store, version } = load(code);
+        expect(version).toBe('1.0.7');
+        expect(Store.operations).toEqual(['placeOrder']);
+        expect(typeof new Store().placeOrder).toBe('function');
+
+        const wrapped = load((await Client.export(null, {
+            target: 'bash',
+            runtime: 'fetch',
+            partials: { footer: 'module.exports = { {{clientName}}, tags: [{{#tags}}"{{namespace}}:{{#paths}}{{operationId}} {{/paths}}", {{/tags}}] };' },
+        })).code);
+
+        expect(wrapped.tags).toEqual(['store:placeOrder ']);
+        expect(typeof wrapped.Client).toBe('function');
+    });
+
+    test('Should rename split clients and schemas clashing with the class name', async () => {
+        const Client = new SwaggerClientBuilder(input);
+
+        await Client.build();
+
+        const { code } = await Client.export(null, { target: 'bash', ts: true, className: 'Pet' });
+        expect(code).toContain('class Pet {');
+        expect(code).toContain('export interface PetSchema {');
+        expect(code).toContain('export default Pet;');
+
+        const { files } = await Client.export(null, { target: 'bash', split: true, es: true, className: 'PetStore' });
+        expect(files['index.js']).toContain('class PetStore extends Runtime {');
+        expect(files['index.js']).toContain('export default PetStore;');
+
+        await expect(Client.export(null, { target: 'bash', className: 'petStore' })).rejects.toThrowError('Class name must be a PascalCase identifier that the exported client doesn\'t use, got "petStore"');
+        await expect(Client.export(null, { target: 'bash', className: 'ApiError' })).rejects.toThrowError('got "ApiError"');
+        await expect(Client.export(null, { target: 'bash', view: { paths: [] } })).rejects.toThrowError('View data can\'t replace "paths", it\'s computed by the export');
+        await expect(Client.export(null, { target: 'bash', split: true, template: Path.join(templates, 'template.mustache') })).rejects.toThrowError("Split exports don't use a template");
+    });
+
+    test('Should export with custom templates from the command line', async () => {
+        const directory = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'templates-'));
+        Fs.writeFileSync(Path.join(directory, 'view.json'), JSON.stringify({ apiVersion: '2.0.0' }));
+
+        const { stdout, code } = await new Promise(resolve => {
+            const args = ['-i', input, '-T', 'bash', '-s', '--runtime', 'fetch', '--template', Path.join(templates, 'template.mustache'), '--partials', templates, '--class-name', 'PetStore', '--view', Path.join(directory, 'view.json')];
+
+            execFile(process.execPath, [Path.join(__dirname, '..', 'index.js'), ...args], { timeout: 30000 }, (error, stdout) => resolve({ code: error ? error.code : 0, stdout }));
+        });
+
+        expect(code).toBe(0);
+
+        const { PetStore, version } = load(stdout);
+        expect(version).toBe('2.0.0');
+        expect(PetStore.operations).toContain('getPetById');
+
+        Fs.rmSync(directory, { recursive: true, force: true });
+    });
+});
+
+describe("Swagger 2", () => {
+    const input = Path.join(__dirname, 'fixtures', 'swagger2.json');
+    const pet = { name: 'rex' };
+
+    // Body parameter, form parameters and collection formats of every client
+    const expectRequests = async (client, sent) => {
+        await client.addPet({ body: pet });
+        await expect(client.addPet({ body: {} })).rejects.toThrowError("must have required property 'name'");
+
+        await client.updatePet({ params: { petId: 1 } });
+        await expect(client.updatePet({ params: { petId: 1 }, body: { name: 1 } })).rejects.toThrowError('must be string');
+
+        await client.updatePetWithForm({ params: { petId: 1 }, body: { name: 'rex', status: 'sold' } });
+        await expect(client.updatePetWithForm({ params: { petId: 1 }, body: {} })).rejects.toThrowError("must have required property 'name'");
+
+        await client.findPets({ query: { tags: ['a', 'b'], status: ['x', 'y'], ids: [1, 2] } });
+
+        expect(sent.map(request => request.url)).toEqual(['/v2/pets', '/v2/pets/1', '/v2/pets/1', '/v2/pets?tags=a|b&status=x&status=y&ids=1,2']);
+        expect(sent[0].body).toBe('{"name":"rex"}');
+        expect(sent[2].body).toBe('name=rex&status=sold');
+    };
+
+    const adapter = (sent) => async (config) => {
+        sent.push({ url: `${new URL(config.baseURL).pathname}${config.url}`, body: config.data });
+        return { data: pet, status: 200, statusText: 'OK', headers: {}, config };
+    };
+
+    test('Should validate body and form parameters', async () => {
+        const sent = [];
+        const Client = new SwaggerClientBuilder(input, { adapter: adapter(sent) });
+
+        await Client.build();
+        await expectRequests(Client, sent);
+
+        const { code } = await Client.export(null, { target: 'bash', ts: true });
+        expect(code).toContain('export type AddPetBody = Pet;');
+        expect(code).toMatch(/body: AddPetBody;/);
+        expect(code).toMatch(/body \? : UpdatePetBody;/);
+    });
+
+    test('Should validate body and form parameters in exported clients', async () => {
+        const Client = new SwaggerClientBuilder(input);
+
+        await Client.build();
+
+        for (const standalone of [false, true]) {
+            const { code } = await Client.export(null, { target: 'bash', validation: true, standalone, baseURL: 'http://localhost/v2' });
+
+            const module = { exports: {} };
+            new Function('module', 'exports', 'require', code)(module, module.exports, require);
+
+            const sent = [];
+            await expectRequests(new module.exports({ adapter: adapter(sent) }), sent);
+        }
+    });
+
+    test('Should validate body and form parameters in exported fetch clients', async () => {
+        const Client = new SwaggerClientBuilder(input);
+
+        await Client.build();
+
+        const { code } = await Client.export(null, { target: 'bash', validation: true, runtime: 'fetch', baseURL: 'http://localhost/v2' });
+
+        const module = { exports: {} };
+        new Function('module', 'exports', 'require', code)(module, module.exports, require);
+
+        const sent = [];
+        const fetch = async (url, init) => {
+            sent.push({ url: decodeURIComponent(new URL(url).pathname + new URL(url).search), body: init.body });
+            return new Response(JSON.stringify(pet), { headers: { 'content-type': 'application/json' } });
+        };
+
+        await expectRequests(new module.exports({ fetch }), sent);
+    });
+});